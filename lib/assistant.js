@@ -0,0 +1,104 @@
+import { createConversation, createSummarizer, getConversationOptions } from './conversation.js'
+import { DEFAULT_PERSONA } from './personas.js'
+import { unlimitedQuota } from './usage.js'
+import { logger } from './logger.js'
+import { getResilienceOptions, withTimeout } from './resilience.js'
+
+// The part of the assistant that doesn't care how the user talks to it: persona, conversation
+// history, the optional NLU, the LLM and the tools it may call. Voice sessions and the chat
+// route each keep one per conversation. `quota` is charged for every LLM call. `log` is the
+// caller's logger, so entries carry its session id. An NLU that doesn't answer within
+// `nluTimeoutMs` is treated like a failed one and the LLM answers instead.
+export const createAssistant = ({
+    llm,
+    persona = DEFAULT_PERSONA,
+    quota = unlimitedQuota,
+    nluSession = null,
+    tools = null,
+    log = logger,
+    nluTimeoutMs = getResilienceOptions().nluTimeoutMs,
+}) => {
+    const conversation = createConversation({ summarize: createSummarizer(llm), ...getConversationOptions() })
+    let currentPersona = persona
+
+    const setPersona = selected => {
+        currentPersona = selected
+        conversation.setSystemPrompt(selected.systemPrompt)
+    }
+
+    setPersona(persona)
+
+    const detectIntent = async (text, signal) => {
+        log.debug('Calling NLU.', { nlu: nluSession.name })
+
+        try {
+            const nluResult = await withTimeout(() => nluSession.detectIntent(text), { ms: nluTimeoutMs, signal, description: nluSession.name })
+
+            if (nluResult.matched) {
+                log.info('NLU matched.', { nlu: nluSession.name, intent: nluResult.intent || nluResult.matchType, page: nluResult.page })
+                return nluResult.text
+            }
+
+            log.info('NLU returned no match. Falling back to the LLM.', { nlu: nluSession.name, llm: llm.name })
+        } catch (nluError) {
+            if (signal && signal.aborted) {
+                throw nluError
+            }
+
+            log.error('NLU detectIntent failed. Falling back to the LLM.', { nlu: nluSession.name, llm: llm.name, error: nluError })
+        }
+
+        return null
+    }
+
+    // Yields the reply text: an NLU reply in one piece, or the LLM output as it streams in.
+    const streamReply = async function* (text, signal) {
+        const nluText = nluSession ? await detectIntent(text, signal) : null
+        let replyText = ''
+
+        if (nluText) {
+            replyText = nluText
+            yield nluText
+        } else {
+            log.debug('Calling LLM.', { llm: llm.name })
+
+            quota.countLlmCall()
+
+            const request = {
+                systemInstruction: conversation.getSystemInstruction(),
+                contents: conversation.buildContents(text),
+                maxOutputTokens: currentPersona.maxResponseTokens || undefined,
+                tools: tools || undefined,
+                signal
+            }
+
+            if (llm.stream) {
+                for await (const delta of llm.stream(request)) {
+                    replyText += delta
+                    yield delta
+                }
+            } else {
+                replyText = await llm.generate(request) || ''
+
+                if (replyText) {
+                    yield replyText
+                }
+            }
+        }
+
+        // NLU replies go into the history too, so a later LLM fallback has the context.
+        if (replyText) {
+            conversation.addExchange(text, replyText)
+            conversation.compact().catch(error => log.error('Conversation compaction failed.', { error }))
+        } else {
+            yield currentPersona.fallbackText
+        }
+    }
+
+    return {
+        getPersona: () => currentPersona,
+        setPersona,
+        setSystemPrompt: conversation.setSystemPrompt,
+        streamReply,
+    }
+}
@@ -0,0 +1,43 @@
+// Output formats a session can negotiate, with the matching native format name of each TTS
+// provider (null when the provider can't produce it).
+export const AUDIO_FORMATS = {
+    mp3: {
+        mimeType: 'audio/mpeg',
+        azure: 'Audio24Khz160KBitRateMonoMp3',
+        elevenlabs: 'mp3_44100_128',
+    },
+    opus: {
+        mimeType: 'audio/webm; codecs=opus',
+        azure: 'Webm24Khz16BitMonoOpus',
+        elevenlabs: null,
+    },
+    pcm16k: {
+        mimeType: 'audio/L16; rate=16000',
+        azure: 'Raw16Khz16BitMonoPcm',
+        elevenlabs: 'pcm_16000',
+    },
+    pcm24k: {
+        mimeType: 'audio/L16; rate=24000',
+        azure: 'Raw24Khz16BitMonoPcm',
+        elevenlabs: 'pcm_24000',
+    },
+    mulaw8k: {
+        mimeType: 'audio/basic',
+        azure: 'Raw8Khz8BitMonoMULaw',
+        elevenlabs: 'ulaw_8000',
+    },
+}
+
+export const DEFAULT_AUDIO_FORMAT = 'mp3'
+
+export const getProviderFormats = provider => Object.keys(AUDIO_FORMATS).filter(format => AUDIO_FORMATS[format][provider])
+
+export const getProviderFormat = (provider, format = DEFAULT_AUDIO_FORMAT) => {
+    const providerFormat = AUDIO_FORMATS[format] && AUDIO_FORMATS[format][provider]
+
+    if (!providerFormat) {
+        throw new Error(`Audio format "${format}" is not supported by ${provider} TTS.`)
+    }
+
+    return providerFormat
+}
@@ -0,0 +1,183 @@
+import crypto from 'crypto'
+
+import { HttpError } from './errors.js'
+import { logger } from './logger.js'
+
+export const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(a)
+    const bufferB = Buffer.from(b)
+
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB)
+}
+
+const decodeJwtPart = part => JSON.parse(Buffer.from(part, 'base64url').toString('utf8'))
+
+// Minimal HS256 verification; returns the claims, or null for anything invalid or expired.
+const verifyJwt = (token, secret) => {
+    const [header, payload, signature] = token.split('.')
+
+    if (!header || !payload || !signature) {
+        return null
+    }
+
+    const expectedSignature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url')
+
+    if (!safeEqual(signature, expectedSignature)) {
+        return null
+    }
+
+    try {
+        if (decodeJwtPart(header).alg !== 'HS256') {
+            return null
+        }
+
+        const claims = decodeJwtPart(payload)
+        const now = Date.now() / 1000
+
+        if ((claims.exp && now >= claims.exp) || (claims.nbf && now < claims.nbf)) {
+            return null
+        }
+
+        return claims
+    } catch (error) {
+        return null
+    }
+}
+
+const parseList = value => (value || '').split(',').map(item => item.trim()).filter(Boolean)
+
+// API_KEYS is a comma-separated list of `clientName:key` pairs; the client name is the id usage
+// limits and logs go by. A key without a name gets an id derived from a hash of the whole key,
+// so two keys never share one.
+const parseApiKeys = value => parseList(value).map(entry => {
+    const separator = entry.indexOf(':')
+
+    if (separator > 0) {
+        return { clientId: entry.slice(0, separator), key: entry.slice(separator + 1) }
+    }
+
+    const clientId = `key-${crypto.createHash('sha256').update(entry).digest('hex').slice(0, 12)}`
+    logger.warn('An API key in API_KEYS has no client name. Use `clientName:key` to name it.', { clientId })
+
+    return { clientId, key: entry }
+})
+
+export const getAuthConfig = () => ({
+    apiKeys: parseApiKeys(process.env.API_KEYS),
+    jwtSecret: process.env.JWT_SECRET || null,
+    allowedOrigins: parseList(process.env.ALLOWED_ORIGINS),
+    adminClients: parseList(process.env.ADMIN_CLIENTS),
+})
+
+// Reads a credential from `Authorization: Bearer`, `X-API-Key`, or, for browser WebSockets that
+// can't set headers, the `access_token` query parameter.
+const getCredential = request => {
+    const authorization = request.headers.authorization
+
+    if (authorization && authorization.startsWith('Bearer ')) {
+        return authorization.slice(7).trim()
+    }
+
+    if (request.headers['x-api-key']) {
+        return request.headers['x-api-key']
+    }
+
+    return new URL(request.url, 'http://localhost').searchParams.get('access_token')
+}
+
+// Authentication for the REST routes and the WebSocket upgrade. Clients present either one of
+// the API_KEYS or an HS256 JWT signed with JWT_SECRET (its `sub` becomes the client id and an
+// optional `limits` claim overrides the default usage limits). With neither configured, auth
+// is off and clients are told apart by IP address only.
+// Admin routes are limited to the client ids in ADMIN_CLIENTS and JWTs with an `admin: true`
+// claim; everyone is an admin while auth is off.
+export const createAuth = ({ apiKeys, jwtSecret, allowedOrigins, adminClients = [] } = getAuthConfig()) => {
+    const enabled = apiKeys.length > 0 || Boolean(jwtSecret)
+
+    if (!enabled) {
+        logger.warn('API_KEYS and JWT_SECRET are not set. Authentication is disabled.')
+    }
+
+    if (allowedOrigins.length === 0) {
+        logger.warn('ALLOWED_ORIGINS is not set. Requests from every origin are allowed.')
+    }
+
+    // Requests without an Origin header come from non-browser clients and are left to auth.
+    const isOriginAllowed = origin => !origin || allowedOrigins.length === 0 || allowedOrigins.includes(origin)
+
+    const authenticate = request => {
+        if (!enabled) {
+            return { clientId: `ip:${request.socket.remoteAddress}`, limits: {}, admin: true }
+        }
+
+        const credential = getCredential(request)
+
+        if (!credential) {
+            return null
+        }
+
+        const apiKey = apiKeys.find(entry => safeEqual(entry.key, credential))
+
+        if (apiKey) {
+            return { clientId: apiKey.clientId, limits: {}, admin: adminClients.includes(apiKey.clientId) }
+        }
+
+        const claims = jwtSecret ? verifyJwt(credential, jwtSecret) : null
+
+        if (claims && claims.sub) {
+            const clientId = `jwt:${claims.sub}`
+
+            return { clientId, limits: claims.limits || {}, admin: claims.admin === true || adminClients.includes(clientId) }
+        }
+
+        return null
+    }
+
+    const corsOptions = {
+        origin: (origin, callback) => callback(null, isOriginAllowed(origin)),
+    }
+
+    const requireAuth = (req, res, next) => {
+        if (!isOriginAllowed(req.headers.origin)) {
+            return next(new HttpError(403, 'Origin not allowed.'))
+        }
+
+        const client = authenticate(req)
+
+        if (!client) {
+            return next(new HttpError(401, 'Missing or invalid API key or token.'))
+        }
+
+        req.authClient = client
+        next()
+    }
+
+    // Mounted after `requireAuth`.
+    const requireAdmin = (req, res, next) => {
+        if (!req.authClient || !req.authClient.admin) {
+            return next(new HttpError(403, 'Admin access required.'))
+        }
+
+        next()
+    }
+
+    // `verifyClient` hook for the ws server; rejects the upgrade before a session is created.
+    const verifyWebSocketClient = ({ origin, req }, callback) => {
+        if (!isOriginAllowed(origin)) {
+            logger.warn('Rejected WebSocket connection from a disallowed origin.', { origin })
+            return callback(false, 403, 'Origin not allowed')
+        }
+
+        const client = authenticate(req)
+
+        if (!client) {
+            logger.warn('Rejected unauthenticated WebSocket connection.')
+            return callback(false, 401, 'Unauthorized')
+        }
+
+        req.authClient = client
+        callback(true)
+    }
+
+    return { enabled, authenticate, corsOptions, requireAuth, requireAdmin, verifyWebSocketClient }
+}
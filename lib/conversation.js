@@ -0,0 +1,117 @@
+import { logger } from './logger.js'
+import { getEnvNumber } from './env.js'
+
+const SUMMARY_PROMPT = 'สรุปบทสนทนาต่อไปนี้ให้สั้นและกระชับ โดยเก็บข้อมูลสำคัญไว้ให้ครบ เช่น สินค้าหรือบริการที่พูดถึง ราคา ชื่อ วันเวลา และสิ่งที่ผู้ใช้ต้องการ ตอบเป็นข้อความสรุปเท่านั้น'
+
+// Rough estimate: Gemini uses about one token per 3 characters for mixed Thai/English text.
+const estimateTokens = text => Math.ceil(text.length / 3)
+
+export const getConversationOptions = () => ({
+    maxTurns: getEnvNumber('CONVERSATION_MAX_TURNS', 20, { min: 1 }),
+    maxTokens: getEnvNumber('CONVERSATION_MAX_TOKENS', 4000, { min: 1 }),
+    keepTurns: getEnvNumber('CONVERSATION_KEEP_TURNS', 6, { min: 1 }),
+})
+
+export const createSummarizer = llm => async (previousSummary, turns) => {
+    const transcript = turns
+        .map(turn => `${turn.role === 'user' ? 'ผู้ใช้' : 'ผู้ช่วย'}: ${turn.parts[0].text}`)
+        .join('\n')
+
+    const text = previousSummary
+        ? `สรุปเดิม: ${previousSummary}\n\nบทสนทนาเพิ่มเติม:\n${transcript}`
+        : transcript
+
+    return llm.generate({
+        systemInstruction: SUMMARY_PROMPT,
+        contents: [{ role: 'user', parts: [{ text }] }]
+    })
+}
+
+// Per-connection chat history. Turns are stored in Gemini `contents` format and always
+// committed as user/model pairs so the history keeps alternating roles. Once the history
+// grows past maxTurns or maxTokens, everything except the newest keepTurns is folded into
+// a running summary that is sent along with the system instruction. Without a `summarize`
+// function the older turns are simply dropped.
+export const createConversation = ({
+    systemPrompt = '',
+    maxTurns = 20,
+    maxTokens = 4000,
+    keepTurns = 6,
+    summarize = null,
+} = {}) => {
+    let turns = []
+    let summary = ''
+
+    const countTokens = () => turns.reduce((total, turn) => total + estimateTokens(turn.parts[0].text), estimateTokens(summary))
+
+    const isOverLimit = () => turns.length > maxTurns || countTokens() > maxTokens
+
+    const getSystemInstruction = () => {
+        if (!summary) {
+            return systemPrompt
+        }
+
+        return `${systemPrompt}\n\nสรุปบทสนทนาก่อนหน้า: ${summary}`
+    }
+
+    // Contents for the next Gemini call: the stored history followed by the pending user turn.
+    const buildContents = userText => [
+        ...turns,
+        { role: 'user', parts: [{ text: userText }] }
+    ]
+
+    const addExchange = (userText, modelText) => {
+        turns.push({ role: 'user', parts: [{ text: userText }] })
+        turns.push({ role: 'model', parts: [{ text: modelText }] })
+    }
+
+    const compactNow = async () => {
+        if (!isOverLimit()) {
+            return
+        }
+
+        // Keep an even number of turns so the remaining history still starts with a user turn.
+        const keep = Math.min(turns.length, keepTurns - (keepTurns % 2))
+        const olderTurns = turns.slice(0, turns.length - keep)
+        turns = turns.slice(turns.length - keep)
+
+        if (summarize) {
+            try {
+                const newSummary = await summarize(summary, olderTurns)
+
+                if (newSummary) {
+                    summary = newSummary
+                }
+            } catch (error) {
+                logger.error('Failed to summarise conversation history, dropping older turns.', { error })
+            }
+        }
+
+        // Summarising alone may not be enough when the kept turns are long; drop whole exchanges.
+        while (turns.length > 2 && isOverLimit()) {
+            turns = turns.slice(2)
+        }
+    }
+
+    // Compactions run one after another: each one summarises on top of the summary of the one
+    // before, and turns added while a summary is pending are kept for the next compaction.
+    let compacting = Promise.resolve()
+
+    const compact = () => {
+        const result = compacting.then(compactNow)
+        compacting = result.catch(() => {})
+        return result
+    }
+
+    return {
+        setSystemPrompt: value => {
+            systemPrompt = value
+        },
+        getSystemInstruction,
+        buildContents,
+        addExchange,
+        compact,
+        getTurns: () => turns,
+        getSummary: () => summary,
+    }
+}
@@ -0,0 +1,56 @@
+import { SessionsClient } from '@google-cloud/dialogflow-cx'
+import { v4 as uuidv4 } from 'uuid'
+
+// Dialogflow CX answers every query, even when nothing matched (from its no-match/no-input
+// event handlers). Those replies are generic, so we hand the turn over to Gemini instead.
+const UNMATCHED_TYPES = ['NO_MATCH', 'NO_INPUT', 'MATCH_TYPE_UNSPECIFIED']
+
+export const getDialogflowConfig = () => ({
+    enabled: process.env.NLU_BACKEND === 'dialogflow',
+    projectId: process.env.DIALOGFLOW_PROJECT_ID,
+    location: process.env.DIALOGFLOW_LOCATION || 'global',
+    agentId: process.env.DIALOGFLOW_AGENT_ID,
+    languageCode: process.env.DIALOGFLOW_LANGUAGE_CODE || 'th',
+})
+
+export const createSessionsClient = ({ location }) => {
+    // Regional agents are only reachable through their regional endpoint.
+    if (location && location !== 'global') {
+        return new SessionsClient({ apiEndpoint: `${location}-dialogflow.googleapis.com` })
+    }
+
+    return new SessionsClient()
+}
+
+// One CX session per WebSocket connection, so CX keeps its page/parameter state across utterances.
+export const createDialogflowSession = (sessionClient, { projectId, location, agentId, languageCode }) => {
+    const sessionId = uuidv4()
+    const sessionPath = sessionClient.projectLocationAgentSessionPath(projectId, location, agentId, sessionId)
+
+    const detectIntent = async text => {
+        const [response] = await sessionClient.detectIntent({
+            session: sessionPath,
+            queryInput: {
+                text: { text },
+                languageCode,
+            },
+        })
+
+        const queryResult = response.queryResult || {}
+        const matchType = queryResult.match ? queryResult.match.matchType : 'MATCH_TYPE_UNSPECIFIED'
+        const messages = (queryResult.responseMessages || [])
+            .filter(message => message.text && message.text.text)
+            .flatMap(message => message.text.text)
+            .filter(Boolean)
+
+        return {
+            matched: !UNMATCHED_TYPES.includes(matchType) && messages.length > 0,
+            matchType,
+            text: messages.join(' '),
+            intent: queryResult.match && queryResult.match.intent ? queryResult.match.intent.displayName : null,
+            page: queryResult.currentPage ? queryResult.currentPage.displayName : null,
+        }
+    }
+
+    return { name: 'Dialogflow CX', sessionId, detectIntent }
+}
@@ -0,0 +1,145 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+
+import { HttpError } from './errors.js'
+import { safeEqual } from './auth.js'
+
+// Server side of ElevenLabs Conversational AI agents: webhook signatures, stored post-call
+// transcripts and the initiation data that personalises a conversation.
+
+const CONVERSATION_ID_PATTERN = /^[\w-]{1,128}$/
+
+// ElevenLabs signs webhooks with `ElevenLabs-Signature: t=<unix seconds>,v0=<hex HMAC-SHA256
+// of "<t>.<raw body>">`. Old timestamps are rejected so captured requests can't be replayed.
+export const verifyElevenLabsSignature = (rawBody, header, secret, { toleranceSeconds = 1800 } = {}) => {
+    if (!header || !secret) {
+        return false
+    }
+
+    const fields = Object.fromEntries(header.split(',').map(field => field.trim().split('=')))
+    const timestamp = Number(fields.t)
+
+    if (!timestamp || !fields.v0 || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+        return false
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex')
+
+    return safeEqual(fields.v0, expected)
+}
+
+const isScalar = value => ['string', 'number', 'boolean'].includes(typeof value)
+
+// Builds the `conversation_initiation_client_data` message the client sends as the first message
+// on the signed URL. Overrides only take effect for fields the agent allows to be overridden
+// in its ElevenLabs security settings.
+export const buildConversationInitiationData = ({ dynamicVariables = {}, overrides = {} } = {}, serverVariables = {}) => {
+    if (!dynamicVariables || typeof dynamicVariables !== 'object' || Array.isArray(dynamicVariables) || !Object.values(dynamicVariables).every(isScalar)) {
+        throw new HttpError(400, 'dynamicVariables must be an object of strings, numbers or booleans.')
+    }
+
+    if (!overrides || typeof overrides !== 'object') {
+        throw new HttpError(400, 'overrides must be an object.')
+    }
+
+    const { firstMessage, language, voiceId } = overrides
+
+    for (const [field, value] of Object.entries({ firstMessage, language, voiceId })) {
+        if (value !== undefined && (typeof value !== 'string' || !value.trim())) {
+            throw new HttpError(400, `overrides.${field} must be a non-empty string.`)
+        }
+    }
+
+    const agent = {}
+
+    if (firstMessage) {
+        agent.first_message = firstMessage
+    }
+
+    if (language) {
+        agent.language = language
+    }
+
+    const conversationConfigOverride = {}
+
+    if (Object.keys(agent).length > 0) {
+        conversationConfigOverride.agent = agent
+    }
+
+    if (voiceId) {
+        conversationConfigOverride.tts = { voice_id: voiceId }
+    }
+
+    return {
+        type: 'conversation_initiation_client_data',
+        // Server-side variables replace the client's in this message. The client sends the message
+        // itself and can still change them, so they identify nobody reliably.
+        dynamic_variables: { ...dynamicVariables, ...serverVariables },
+        conversation_config_override: conversationConfigOverride,
+    }
+}
+
+// Post-call transcripts, one JSON file per conversation in ELEVENLABS_CONVERSATIONS_DIR
+// (default data/elevenlabs-conversations).
+export const createAgentConversationStore = ({ dir = process.env.ELEVENLABS_CONVERSATIONS_DIR || 'data/elevenlabs-conversations' } = {}) => {
+    fs.mkdirSync(dir, { recursive: true })
+
+    const getFile = conversationId => {
+        if (!CONVERSATION_ID_PATTERN.test(conversationId || '')) {
+            throw new HttpError(400, 'Invalid conversation id.')
+        }
+
+        return path.join(dir, `${conversationId}.json`)
+    }
+
+    // Takes the `data` of a `post_call_transcription` webhook.
+    const save = async data => {
+        const conversation = {
+            conversationId: data.conversation_id,
+            agentId: data.agent_id,
+            status: data.status,
+            receivedAt: new Date().toISOString(),
+            transcript: (data.transcript || []).map(turn => ({
+                role: turn.role,
+                message: turn.message,
+                timeInCallSecs: turn.time_in_call_secs,
+                toolCalls: turn.tool_calls || undefined,
+            })),
+            metadata: data.metadata || {},
+            analysis: data.analysis || {},
+            dynamicVariables: (data.conversation_initiation_client_data || {}).dynamic_variables || {},
+        }
+
+        const file = getFile(conversation.conversationId)
+        const tempFile = `${file}.tmp`
+        await fs.promises.writeFile(tempFile, JSON.stringify(conversation, null, 2))
+        await fs.promises.rename(tempFile, file)
+
+        return conversation
+    }
+
+    const read = async conversationId => {
+        const file = getFile(conversationId)
+
+        if (!fs.existsSync(file)) {
+            throw new HttpError(404, `Conversation "${conversationId}" not found.`)
+        }
+
+        return JSON.parse(await fs.promises.readFile(file, 'utf8'))
+    }
+
+    const list = async () => {
+        const files = (await fs.promises.readdir(dir)).filter(file => file.endsWith('.json'))
+
+        const conversations = await Promise.all(files.map(async file => {
+            const { conversationId, agentId, status, receivedAt, transcript, metadata } = JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8'))
+
+            return { conversationId, agentId, status, receivedAt, turns: transcript.length, durationSecs: metadata.call_duration_secs }
+        }))
+
+        return conversations.sort((a, b) => b.receivedAt.localeCompare(a.receivedAt))
+    }
+
+    return { save, read, list }
+}
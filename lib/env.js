@@ -0,0 +1,28 @@
+import { logger } from './logger.js'
+
+// Invalid values already reported, so options read once per session don't repeat the warning.
+const reported = new Set()
+
+// Numeric settings from the environment. Unset and empty values use `defaultValue`; so do
+// non-numeric values and values below `min`, with a warning, so a typo can't turn a limit
+// into NaN.
+export const getEnvNumber = (name, defaultValue, { min = 0 } = {}) => {
+    const value = process.env[name]
+
+    if (value === undefined || value.trim() === '') {
+        return defaultValue
+    }
+
+    const number = Number(value)
+
+    if (Number.isFinite(number) && number >= min) {
+        return number
+    }
+
+    if (!reported.has(`${name}=${value}`)) {
+        reported.add(`${name}=${value}`)
+        logger.warn('Ignoring an invalid numeric setting.', { setting: name, value, min, default: defaultValue })
+    }
+
+    return defaultValue
+}
@@ -0,0 +1,52 @@
+import { logger } from './logger.js'
+
+// Errors thrown from route handlers and stores that should reach the client with a specific
+// HTTP status instead of a generic 500.
+export class HttpError extends Error {
+    constructor(status, message) {
+        super(message)
+        this.name = 'HttpError'
+        this.status = status
+    }
+}
+
+// A client went over one of its usage limits (see usage.js). `limit` names which one.
+export class LimitError extends HttpError {
+    constructor(limit, message) {
+        super(429, message)
+        this.name = 'LimitError'
+        this.code = 'limit_exceeded'
+        this.limit = limit
+    }
+}
+
+// A failed call to an external provider (see resilience.js). `code` is 'provider_error',
+// 'timeout' or 'circuit_open'; `statusCode` is the upstream HTTP status when there was one.
+export class ProviderError extends Error {
+    constructor(message, { code = 'provider_error', statusCode, retryAfterMs } = {}) {
+        super(message)
+        this.name = 'ProviderError'
+        this.code = code
+        this.statusCode = statusCode
+        this.retryAfterMs = retryAfterMs
+    }
+}
+
+// Express error handler; register it after all routes.
+export const handleHttpErrors = (err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err)
+    }
+
+    if (err instanceof HttpError) {
+        return res.status(err.status).json({ error: err.message, code: err.code, limit: err.limit })
+    }
+
+    // express.json() reports malformed bodies with a status of its own.
+    if (err.status && err.status < 500) {
+        return res.status(err.status).json({ error: err.message })
+    }
+
+    logger.error('Unhandled error.', { method: req.method, path: req.path, error: err })
+    res.status(500).json({ error: 'Internal server error' })
+}
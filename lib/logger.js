@@ -0,0 +1,114 @@
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 }
+
+// LOG_LEVEL (debug, info, warn, error, silent; default info) filters entries. LOG_FORMAT=text prints
+// readable lines for local development instead of JSON. What users and the assistant said is
+// redacted unless LOG_TRANSCRIPTS=true.
+export const getLogConfig = () => ({
+    level: LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info',
+    format: process.env.LOG_FORMAT === 'text' ? 'text' : 'json',
+    logTranscripts: process.env.LOG_TRANSCRIPTS === 'true',
+})
+
+// Fields holding conversation content.
+const TRANSCRIPT_FIELDS = new Set(['text', 'transcript', 'args'])
+
+// Fields holding credentials, compared without case, "-" or "_" (so `x-api-key` matches `xapikey`).
+// Exact names only: counters such as `maxOutputTokens` are not secrets.
+const SECRET_FIELDS = new Set([
+    'authorization', 'proxyauthorization', 'cookie', 'setcookie',
+    'apikey', 'apikeys', 'xapikey', 'geminiapikey', 'elevenlabsapikey', 'openaiapikey',
+    'token', 'accesstoken', 'refreshtoken', 'idtoken', 'authtoken', 'twilioauthtoken',
+    'secret', 'clientsecret', 'jwtsecret', 'toolsecret', 'webhooksecret', 'xtoolsecret',
+    'password', 'signature', 'xtwiliosignature', 'elevenlabssignature',
+])
+
+const isSecretField = key => SECRET_FIELDS.has(key.toLowerCase().replace(/[-_]/g, ''))
+
+// Applied to every string, transcripts included: e-mail addresses and phone or card numbers
+// (9 to 19 digits, optionally grouped). Digits inside ids and dates are left alone.
+const PII_PATTERNS = [
+    [/[\w.+-]+@[\w-]+\.[\w.-]+/g, '[email]'],
+    [/(?<![\w-])\+?\d(?:[ -]?\d){8,18}(?![\w-])/g, '[number]'],
+]
+
+const maskPii = value => PII_PATTERNS.reduce((masked, [pattern, replacement]) => masked.replace(pattern, replacement), value)
+
+const serializeError = error => ({
+    name: error.name,
+    message: maskPii(error.message || ''),
+    code: error.code,
+    statusCode: error.statusCode,
+    stack: error.stack ? maskPii(error.stack) : undefined,
+})
+
+const redactValue = (key, value, config, depth) => {
+    if (value instanceof Error) {
+        return serializeError(value)
+    }
+
+    if (isSecretField(key)) {
+        return '[secret]'
+    }
+
+    if (TRANSCRIPT_FIELDS.has(key) && !config.logTranscripts) {
+        const length = typeof value === 'string' ? value.length : JSON.stringify(value || '').length
+        return `[redacted ${length} chars]`
+    }
+
+    if (typeof value === 'string') {
+        return maskPii(value)
+    }
+
+    if (Buffer.isBuffer(value)) {
+        return `[${value.length} bytes]`
+    }
+
+    if (Array.isArray(value)) {
+        return depth > 4 ? '[array]' : value.map(item => redactValue(key, item, config, depth + 1))
+    }
+
+    if (value && typeof value === 'object') {
+        return depth > 4 ? '[object]' : redactFields(value, config, depth + 1)
+    }
+
+    return value
+}
+
+export const redactFields = (fields, config = getLogConfig(), depth = 0) => Object.fromEntries(
+    Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => [key, redactValue(key, value, config, depth)]),
+)
+
+const formatText = ({ time, level, msg, ...fields }) => [
+    time,
+    level.toUpperCase().padEnd(5),
+    msg,
+    ...Object.entries(fields).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`),
+].join(' ')
+
+const write = (level, msg, bindings, fields) => {
+    const config = getLogConfig()
+
+    if (LEVELS[level] < LEVELS[config.level]) {
+        return
+    }
+
+    const entry = { time: new Date().toISOString(), level, msg, ...redactFields({ ...bindings, ...fields }, config) }
+    const line = config.format === 'text' ? formatText(entry) : JSON.stringify(entry)
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout
+
+    stream.write(`${line}\n`)
+}
+
+// One JSON object per line: `{ time, level, msg, ...bindings, ...fields }`. Pass errors as the
+// `error` field. `child` adds bindings such as the session id to every entry.
+export const createLogger = (bindings = {}) => ({
+    debug: (msg, fields = {}) => write('debug', msg, bindings, fields),
+    info: (msg, fields = {}) => write('info', msg, bindings, fields),
+    warn: (msg, fields = {}) => write('warn', msg, bindings, fields),
+    error: (msg, fields = {}) => write('error', msg, bindings, fields),
+    child: childBindings => createLogger({ ...bindings, ...childBindings }),
+})
+
+export const logger = createLogger()
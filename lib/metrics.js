@@ -0,0 +1,151 @@
+// Prometheus metrics in the text exposition format, without a client library.
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 3, 5, 10, 30]
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+
+const formatLabels = labels => {
+    const entries = Object.entries(labels)
+    return entries.length > 0 ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : ''
+}
+
+// Series are keyed by their label values in `labelNames` order; missing labels are empty.
+const createSeries = (labelNames, createValue) => {
+    const series = new Map()
+
+    const get = (labels = {}) => {
+        const values = labelNames.map(name => labels[name] === undefined ? '' : String(labels[name]))
+        const key = values.join('\u0000')
+
+        if (!series.has(key)) {
+            series.set(key, { labels: Object.fromEntries(labelNames.map((name, index) => [name, values[index]])), value: createValue() })
+        }
+
+        return series.get(key).value
+    }
+
+    return { get, entries: () => [...series.values()] }
+}
+
+const createCounter = (name, help, labelNames = []) => {
+    const series = createSeries(labelNames, () => ({ count: 0 }))
+
+    return {
+        inc: (labels, value = 1) => {
+            series.get(labels).count += value
+        },
+        // For totals counted elsewhere and copied in by a collector.
+        set: (labels, value) => {
+            series.get(labels).count = value
+        },
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} counter`,
+            ...series.entries().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value.count}`),
+        ],
+    }
+}
+
+const createGauge = (name, help, labelNames = []) => {
+    const series = createSeries(labelNames, () => ({ count: 0 }))
+
+    return {
+        inc: (labels, value = 1) => {
+            series.get(labels).count += value
+        },
+        dec: (labels, value = 1) => {
+            series.get(labels).count -= value
+        },
+        set: (labels, value) => {
+            series.get(labels).count = value
+        },
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} gauge`,
+            ...series.entries().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value.count}`),
+        ],
+    }
+}
+
+const createHistogram = (name, help, labelNames = [], buckets = LATENCY_BUCKETS) => {
+    const series = createSeries(labelNames, () => ({ buckets: buckets.map(() => 0), sum: 0, count: 0 }))
+
+    return {
+        observe: (labels, value) => {
+            const histogram = series.get(labels)
+
+            buckets.forEach((bound, index) => {
+                if (value <= bound) {
+                    histogram.buckets[index]++
+                }
+            })
+
+            histogram.sum += value
+            histogram.count++
+        },
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} histogram`,
+            ...series.entries().flatMap(({ labels, value }) => [
+                ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${value.buckets[index]}`),
+                `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`,
+                `${name}_sum${formatLabels(labels)} ${value.sum}`,
+                `${name}_count${formatLabels(labels)} ${value.count}`,
+            ]),
+        ],
+    }
+}
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+
+export const secondsSince = startedAt => (Date.now() - startedAt) / 1000
+
+// The server's metrics. Latencies are in seconds:
+//   stt_final_to_llm  last final STT result of a turn until the first words of the answer
+//   llm               one LLM call, until the first delta (phase="first_token") and until done
+//   tts               one synthesis request
+//   turn              last final STT result (or text input) until the last audio is sent
+// Provider errors don't count requests cancelled by barge-in or a closed connection.
+export const createMetrics = () => {
+    const metrics = {
+        activeSessions: createGauge('voice_active_sessions', 'Open voice sessions.', ['transport']),
+        sttFinalToLlmSeconds: createHistogram('voice_stt_final_to_llm_seconds', 'Time from the final STT result of a turn to the first answer text.'),
+        llmSeconds: createHistogram('voice_llm_seconds', 'LLM call latency.', ['provider', 'phase']),
+        ttsSeconds: createHistogram('voice_tts_seconds', 'TTS synthesis latency.', ['provider']),
+        turnSeconds: createHistogram('voice_turn_seconds', 'Time from the end of user input to the last answer audio sent.', ['input']),
+        providerErrors: createCounter('voice_provider_errors_total', 'Failed provider requests.', ['stage', 'provider']),
+        ttsCacheRequests: createCounter('voice_tts_cache_requests_total', 'TTS cache lookups, by result.', ['result']),
+        ttsCacheBytes: createGauge('voice_tts_cache_bytes', 'Size of the cached TTS audio.', ['level']),
+        circuitBreakerOpen: createGauge('voice_circuit_breaker_open', 'Whether calls to a provider are paused after repeated failures (1) or not (0).', ['stage', 'provider']),
+    }
+
+    // Called before every render to copy values kept elsewhere.
+    const collectors = []
+
+    // Exposes the counters a tts-cache.js cache keeps itself.
+    const observeTtsCache = ttsCache => {
+        collectors.push(() => {
+            const { memoryHits, diskHits, misses, memoryBytes, diskBytes } = ttsCache.getStats()
+
+            metrics.ttsCacheRequests.set({ result: 'memory_hit' }, memoryHits)
+            metrics.ttsCacheRequests.set({ result: 'disk_hit' }, diskHits)
+            metrics.ttsCacheRequests.set({ result: 'miss' }, misses)
+            metrics.ttsCacheBytes.set({ level: 'memory' }, memoryBytes)
+            metrics.ttsCacheBytes.set({ level: 'disk' }, diskBytes)
+        })
+    }
+
+    // Exposes the state of a resilience.js circuit breaker; half-open counts as open.
+    const observeCircuitBreaker = (stage, provider, circuitBreaker) => {
+        collectors.push(() => {
+            metrics.circuitBreakerOpen.set({ stage, provider }, circuitBreaker.getState() === 'closed' ? 0 : 1)
+        })
+    }
+
+    const render = () => {
+        collectors.forEach(collect => collect())
+        return `${Object.values(metrics).flatMap(metric => metric.render()).join('\n')}\n`
+    }
+
+    return { ...metrics, observeTtsCache, observeCircuitBreaker, render }
+}
@@ -0,0 +1,68 @@
+// G.711 mu-law <-> 16-bit little-endian PCM, and sample rate conversion for telephony audio.
+
+const BIAS = 0x84
+const CLIP = 32635
+
+const decodeSample = byte => {
+    const value = ~byte & 0xff
+    const exponent = (value >> 4) & 0x07
+    const sample = ((((value & 0x0f) << 3) + BIAS) << exponent) - BIAS
+
+    return value & 0x80 ? -sample : sample
+}
+
+const encodeSample = sample => {
+    const sign = sample < 0 ? 0x80 : 0
+    const magnitude = Math.min(Math.abs(sample), CLIP) + BIAS
+    let exponent = 7
+
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+        exponent--
+    }
+
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0f
+
+    return ~(sign | (exponent << 4) | mantissa) & 0xff
+}
+
+export const decodeMulaw = mulaw => {
+    const pcm = Buffer.alloc(mulaw.length * 2)
+
+    for (let i = 0; i < mulaw.length; i++) {
+        pcm.writeInt16LE(decodeSample(mulaw[i]), i * 2)
+    }
+
+    return pcm
+}
+
+export const encodeMulaw = pcm => {
+    const mulaw = Buffer.alloc(Math.floor(pcm.length / 2))
+
+    for (let i = 0; i < mulaw.length; i++) {
+        mulaw[i] = encodeSample(pcm.readInt16LE(i * 2))
+    }
+
+    return mulaw
+}
+
+// Linear interpolation; good enough for speech going into STT, not for music.
+export const resamplePcm16 = (pcm, fromRate, toRate) => {
+    if (fromRate === toRate) {
+        return pcm
+    }
+
+    const inputSamples = Math.floor(pcm.length / 2)
+    const outputSamples = Math.floor(inputSamples * toRate / fromRate)
+    const output = Buffer.alloc(outputSamples * 2)
+
+    for (let i = 0; i < outputSamples; i++) {
+        const position = i * fromRate / toRate
+        const index = Math.floor(position)
+        const current = pcm.readInt16LE(index * 2)
+        const next = index + 1 < inputSamples ? pcm.readInt16LE((index + 1) * 2) : current
+
+        output.writeInt16LE(Math.round(current + (next - current) * (position - index)), i * 2)
+    }
+
+    return output
+}
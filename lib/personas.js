@@ -0,0 +1,146 @@
+import fs from 'fs'
+import path from 'path'
+
+import { HttpError } from './errors.js'
+import { logger } from './logger.js'
+
+export const DEFAULT_PERSONA_ID = 'default'
+
+export const DEFAULT_PERSONA = {
+    id: DEFAULT_PERSONA_ID,
+    name: 'ผู้ช่วยทั่วไป',
+    systemPrompt: 'คุณคือผู้ช่วยที่ตอบคำถามอย่างรวดเร็วและกระชับที่สุด ตอบกลับไม่เกิน 2 ประโยค และห้ามใช้ Emoji หรือสัญลักษณ์พิเศษใดๆ',
+    languageCode: 'th-TH',
+    // TTS engine (azure, elevenlabs, ...) and that engine's voice id; null uses the defaults.
+    ttsEngine: null,
+    voice: null,
+    maxResponseTokens: null,
+    fallbackText: 'ฉันไม่เข้าใจค่ะ กรุณาลองใหม่อีกครั้ง.',
+}
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/
+
+const validatePersona = (data, { partial = false } = {}) => {
+    const persona = {}
+
+    const checkString = (field, { required = false, nullable = false } = {}) => {
+        const value = data[field]
+
+        if (value === undefined) {
+            if (required && !partial) {
+                throw new HttpError(400, `${field} is required.`)
+            }
+            return
+        }
+
+        if (value === null && nullable) {
+            persona[field] = null
+            return
+        }
+
+        if (typeof value !== 'string' || (required && !value.trim())) {
+            throw new HttpError(400, `${field} must be a${required ? ' non-empty' : ''} string.`)
+        }
+
+        persona[field] = value
+    }
+
+    checkString('name', { required: true })
+    checkString('systemPrompt', { required: true })
+    checkString('languageCode')
+    checkString('ttsEngine', { nullable: true })
+    checkString('voice', { nullable: true })
+    checkString('fallbackText')
+
+    if (data.maxResponseTokens !== undefined) {
+        if (data.maxResponseTokens !== null && (!Number.isInteger(data.maxResponseTokens) || data.maxResponseTokens <= 0)) {
+            throw new HttpError(400, 'maxResponseTokens must be a positive integer or null.')
+        }
+
+        persona.maxResponseTokens = data.maxResponseTokens
+    }
+
+    return persona
+}
+
+// Named assistant personas, kept in memory and persisted to a JSON file (PERSONAS_FILE,
+// default data/personas.json) so they can be edited at runtime through the REST API.
+// The built-in default persona is always present; it can be updated but not deleted.
+export const createPersonaStore = ({ file = process.env.PERSONAS_FILE || 'data/personas.json' } = {}) => {
+    const personas = new Map([[DEFAULT_PERSONA_ID, DEFAULT_PERSONA]])
+
+    if (fs.existsSync(file)) {
+        for (const persona of JSON.parse(fs.readFileSync(file, 'utf8'))) {
+            personas.set(persona.id, { ...DEFAULT_PERSONA, ...persona })
+        }
+
+        logger.info('Personas loaded.', { count: personas.size, file })
+    }
+
+    const write = async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true })
+
+        // Write to a temporary file first so a crash never leaves a half-written store behind.
+        const tempFile = `${file}.tmp`
+        await fs.promises.writeFile(tempFile, JSON.stringify([...personas.values()], null, 2))
+        await fs.promises.rename(tempFile, file)
+    }
+
+    // Saves run one at a time: they share the temporary file, and each writes the store as it is
+    // when its turn comes, so the file always ends up with the latest state.
+    let saving = Promise.resolve()
+
+    const save = () => {
+        const saved = saving.then(write)
+        saving = saved.catch(() => {})
+        return saved
+    }
+
+    const get = id => personas.get(id) || null
+
+    const list = () => [...personas.values()]
+
+    const create = async data => {
+        if (typeof data.id !== 'string' || !ID_PATTERN.test(data.id)) {
+            throw new HttpError(400, 'id must be lowercase letters, digits, "-" or "_" (max 64 characters).')
+        }
+
+        if (personas.has(data.id)) {
+            throw new HttpError(409, `Persona "${data.id}" already exists.`)
+        }
+
+        const persona = { ...DEFAULT_PERSONA, ...validatePersona(data), id: data.id }
+        personas.set(persona.id, persona)
+        await save()
+
+        return persona
+    }
+
+    const update = async (id, data) => {
+        const existing = personas.get(id)
+
+        if (!existing) {
+            throw new HttpError(404, `Persona "${id}" not found.`)
+        }
+
+        const persona = { ...existing, ...validatePersona(data, { partial: true }), id }
+        personas.set(id, persona)
+        await save()
+
+        return persona
+    }
+
+    const remove = async id => {
+        if (id === DEFAULT_PERSONA_ID) {
+            throw new HttpError(400, 'The default persona cannot be deleted.')
+        }
+
+        if (!personas.delete(id)) {
+            throw new HttpError(404, `Persona "${id}" not found.`)
+        }
+
+        await save()
+    }
+
+    return { get, list, create, update, remove }
+}
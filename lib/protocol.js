@@ -0,0 +1,274 @@
+// JSON control protocol spoken over the voice WebSocket. Binary frames carry raw audio;
+// text frames carry one JSON message each.
+//
+// Client -> server:
+//   { v: 1, type: 'start', config: { persona, languageCode, sampleRateHertz, encoding, voice, systemPrompt,
+//                                    outputFormat, outputTransport, vad, endOfTurnSilenceMs,
+//                                    ttsEngine, ttsModel, voiceSettings } }
+//   { type: 'stop' }                       end the audio stream and any answer in progress
+//   { type: 'end_of_utterance' }           close the current STT stream and end the user's turn now
+//   { type: 'text_input', text }           answer typed text without going through STT
+//   { type: 'interrupt' }                  barge-in: cancel the current answer
+//   { type: 'playback_ended', responseId } the client finished playing an answer
+//   { type: 'ping' }
+//
+// Server -> client, every event carries `v` and `type`:
+//   transcript     { text, isFinal }
+//   speech_started {}                                 server-side VAD heard the user start talking
+//   speech_ended   { durationMs }                     ... and stop for endOfTurnSilenceMs
+//   response_text  { responseId, seq, text, final }    seq matches the audio chunk of that sentence
+//   audio          { responseId, seq, text, format, data } base64 audio chunk
+//   audio          { responseId, end: true, chunks }    end-of-response marker
+//   state          { state, ... }                    listening | thinking | speaking | interrupted | stopped | draining
+//   degraded       { responseId, mode, reason, message } e.g. text_only after TTS failed; the answer continues
+//   error          { code, message, recoverable? }
+//   pong           {}
+//
+// `outputFormat` is one of AUDIO_FORMATS (audio-formats.js), mp3 by default. With
+// `outputTransport: 'binary'` audio chunks are sent as binary frames instead of `audio` events:
+//   bytes 0-15   responseId as a raw UUID
+//   bytes 16-19  seq, uint32 big-endian
+//   bytes 20-    audio in the negotiated format
+// The end-of-response marker and every other event stay JSON.
+//
+// `ttsEngine` picks one of the server's TTS engines for this session; `voice` is then a voice id
+// of that engine (see GET /api/voices). `ttsModel` and `voiceSettings` ({ stability,
+// similarityBoost, style, speed }) only apply to ElevenLabs.
+//
+// With `vad` (on by default, LINEAR16 only) final transcripts are collected until the VAD
+// reports the end of speech and then answered as one user turn, instead of one answer per final.
+//
+// Failures of a provider don't end the session. `stt_failed` errors carry `recoverable: true` and
+// `retryInMs`, after which audio is recognised again. `draining` means the server is shutting
+// down and closes the socket with 1001 after the current answer.
+//
+// Clients that never send `start` keep receiving the original unversioned messages
+// ({ transcribedText }, { aiAudioBase64 }, { error }), one audio message per answer, plus
+// { interrupted } when an answer is cut off; see toLegacyMessage.
+
+import { AUDIO_FORMATS } from './audio-formats.js'
+
+export const PROTOCOL_VERSION = 1
+
+export const SUPPORTED_ENCODINGS = ['LINEAR16', 'MULAW', 'FLAC', 'OGG_OPUS', 'WEBM_OPUS']
+
+export const OUTPUT_TRANSPORTS = ['json', 'binary']
+
+const CLIENT_MESSAGE_TYPES = ['start', 'stop', 'end_of_utterance', 'text_input', 'interrupt', 'playback_ended', 'ping']
+
+export class ProtocolError extends Error {
+    constructor(code, message) {
+        super(message)
+        this.name = 'ProtocolError'
+        this.code = code
+    }
+}
+
+const VOICE_SETTING_RANGES = {
+    stability: [0, 1],
+    similarityBoost: [0, 1],
+    style: [0, 1],
+    speed: [0.7, 1.2],
+}
+
+const validateVoiceSettings = settings => {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new ProtocolError('invalid_config', 'voiceSettings must be an object.')
+    }
+
+    const voiceSettings = {}
+
+    for (const [name, value] of Object.entries(settings)) {
+        const range = VOICE_SETTING_RANGES[name]
+
+        if (!range) {
+            throw new ProtocolError('invalid_config', `Unknown voice setting "${name}". Use ${Object.keys(VOICE_SETTING_RANGES).join(', ')}.`)
+        }
+
+        if (typeof value !== 'number' || value < range[0] || value > range[1]) {
+            throw new ProtocolError('invalid_config', `voiceSettings.${name} must be a number between ${range[0]} and ${range[1]}.`)
+        }
+
+        voiceSettings[name] = value
+    }
+
+    return voiceSettings
+}
+
+const validateSessionConfig = (config = {}) => {
+    const sessionConfig = {}
+
+    if (config.languageCode !== undefined) {
+        if (typeof config.languageCode !== 'string' || !config.languageCode) {
+            throw new ProtocolError('invalid_config', 'languageCode must be a non-empty string.')
+        }
+
+        sessionConfig.languageCode = config.languageCode
+    }
+
+    if (config.sampleRateHertz !== undefined) {
+        if (!Number.isInteger(config.sampleRateHertz) || config.sampleRateHertz < 8000 || config.sampleRateHertz > 48000) {
+            throw new ProtocolError('invalid_config', 'sampleRateHertz must be an integer between 8000 and 48000.')
+        }
+
+        sessionConfig.sampleRateHertz = config.sampleRateHertz
+    }
+
+    if (config.encoding !== undefined) {
+        if (!SUPPORTED_ENCODINGS.includes(config.encoding)) {
+            throw new ProtocolError('invalid_config', `encoding must be one of ${SUPPORTED_ENCODINGS.join(', ')}.`)
+        }
+
+        sessionConfig.encoding = config.encoding
+    }
+
+    if (config.outputFormat !== undefined) {
+        if (!Object.keys(AUDIO_FORMATS).includes(config.outputFormat)) {
+            throw new ProtocolError('invalid_config', `outputFormat must be one of ${Object.keys(AUDIO_FORMATS).join(', ')}.`)
+        }
+
+        sessionConfig.outputFormat = config.outputFormat
+    }
+
+    if (config.outputTransport !== undefined) {
+        if (!OUTPUT_TRANSPORTS.includes(config.outputTransport)) {
+            throw new ProtocolError('invalid_config', `outputTransport must be one of ${OUTPUT_TRANSPORTS.join(', ')}.`)
+        }
+
+        sessionConfig.outputTransport = config.outputTransport
+    }
+
+    if (config.vad !== undefined) {
+        if (typeof config.vad !== 'boolean') {
+            throw new ProtocolError('invalid_config', 'vad must be a boolean.')
+        }
+
+        sessionConfig.vad = config.vad
+    }
+
+    if (config.endOfTurnSilenceMs !== undefined) {
+        if (!Number.isInteger(config.endOfTurnSilenceMs) || config.endOfTurnSilenceMs < 200 || config.endOfTurnSilenceMs > 5000) {
+            throw new ProtocolError('invalid_config', 'endOfTurnSilenceMs must be an integer between 200 and 5000.')
+        }
+
+        sessionConfig.endOfTurnSilenceMs = config.endOfTurnSilenceMs
+    }
+
+    if (config.voiceSettings !== undefined) {
+        sessionConfig.voiceSettings = validateVoiceSettings(config.voiceSettings)
+    }
+
+    for (const field of ['persona', 'voice', 'systemPrompt', 'ttsEngine', 'ttsModel']) {
+        if (config[field] !== undefined) {
+            if (typeof config[field] !== 'string') {
+                throw new ProtocolError('invalid_config', `${field} must be a string.`)
+            }
+
+            sessionConfig[field] = config[field]
+        }
+    }
+
+    return sessionConfig
+}
+
+// Parses and validates one text frame. Throws ProtocolError for anything we can't act on.
+export const parseClientMessage = raw => {
+    let message
+
+    try {
+        message = JSON.parse(raw.toString())
+    } catch (error) {
+        throw new ProtocolError('invalid_json', 'Control messages must be JSON.')
+    }
+
+    if (!message || typeof message !== 'object' || !CLIENT_MESSAGE_TYPES.includes(message.type)) {
+        throw new ProtocolError('unknown_type', `Unknown message type: ${message && message.type}`)
+    }
+
+    if (message.type === 'start') {
+        const version = message.v === undefined ? PROTOCOL_VERSION : message.v
+
+        if (version !== PROTOCOL_VERSION) {
+            throw new ProtocolError('unsupported_version', `Protocol version ${version} is not supported. Use ${PROTOCOL_VERSION}.`)
+        }
+
+        return { type: 'start', config: validateSessionConfig(message.config) }
+    }
+
+    if (message.type === 'text_input' && (typeof message.text !== 'string' || !message.text.trim())) {
+        throw new ProtocolError('invalid_message', 'text_input requires a non-empty text.')
+    }
+
+    return message
+}
+
+const AUDIO_FRAME_HEADER_BYTES = 20
+
+// Builds a binary audio frame, see the layout above.
+export const encodeAudioFrame = ({ responseId, seq, audio }) => {
+    const header = Buffer.alloc(AUDIO_FRAME_HEADER_BYTES)
+    Buffer.from(responseId.replace(/-/g, ''), 'hex').copy(header, 0)
+    header.writeUInt32BE(seq, 16)
+
+    return Buffer.concat([header, audio])
+}
+
+export const decodeAudioFrame = frame => {
+    const hex = frame.subarray(0, 16).toString('hex')
+
+    return {
+        responseId: `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`,
+        seq: frame.readUInt32BE(16),
+        audio: frame.subarray(AUDIO_FRAME_HEADER_BYTES),
+    }
+}
+
+// Maps a typed server event onto the message shape the original frontend understands.
+// Returns null for events that had no equivalent.
+export const toLegacyMessage = event => {
+    switch (event.type) {
+        case 'transcript':
+            return { transcribedText: event.text, isFinal: event.isFinal }
+        case 'audio':
+            // Legacy sessions only ever send whole answers; chunks have no legacy form.
+            return event.end || event.seq !== undefined ? null : { responseId: event.responseId, aiAudioBase64: event.data }
+        case 'state':
+            if (event.state === 'interrupted') {
+                return { interrupted: true, responseId: event.responseId, reason: event.reason }
+            }
+
+            return null
+        case 'error':
+        case 'degraded':
+            return { error: event.message }
+        default:
+            return null
+    }
+}
+
+// Sends typed events to one client, in legacy or versioned form depending on whether the
+// client has negotiated the protocol with `start`.
+export const createEventSender = ws => {
+    let version = null
+
+    const send = event => {
+        const message = version ? { v: version, ...event } : toLegacyMessage(event)
+
+        if (message) {
+            ws.send(JSON.stringify(message))
+        }
+    }
+
+    const sendAudioFrame = frame => {
+        ws.send(encodeAudioFrame(frame), { binary: true })
+    }
+
+    return {
+        send,
+        sendAudioFrame,
+        setVersion: value => {
+            version = value
+        },
+        getVersion: () => version,
+    }
+}
@@ -0,0 +1,70 @@
+import { AUDIO_FORMATS } from '../audio-formats.js'
+import { getEnvNumber } from '../env.js'
+
+// Local stand-ins for the real providers, for tests and for running the server without credentials.
+
+// Replays scripted recognition results, one every `chunksPerResult` audio chunks written, so
+// results can line up with the speech in a test recording. Scripts default to
+// FAKE_STT_TRANSCRIPTS, a `|`-separated list of final transcripts, and the pace to
+// FAKE_STT_CHUNKS_PER_RESULT.
+export const createFakeStt = ({ script, chunksPerResult = getEnvNumber('FAKE_STT_CHUNKS_PER_RESULT', 1, { min: 1 }) } = {}) => {
+    const results = script || (process.env.FAKE_STT_TRANSCRIPTS || '')
+        .split('|')
+        .filter(Boolean)
+        .map(transcript => ({ transcript, isFinal: true }))
+
+    const createStream = ({ onResult }) => {
+        let index = 0
+        let chunks = 0
+
+        return {
+            write: () => {
+                chunks++
+
+                if (chunks % chunksPerResult === 0 && index < results.length) {
+                    onResult(results[index++])
+                }
+            },
+            end: () => {},
+        }
+    }
+
+    return { name: 'fake', createStream }
+}
+
+// Echoes the last user turn, or always answers with `reply` when given. `stream` yields the
+// same answer word by word.
+export const createFakeLlm = ({ reply } = {}) => {
+    const generate = async ({ contents }) => {
+        if (reply) {
+            return reply
+        }
+
+        const lastTurn = contents[contents.length - 1]
+        return `คุณพูดว่า: ${lastTurn.parts[0].text}`
+    }
+
+    const stream = async function* (request) {
+        const text = await generate(request)
+
+        for (const word of text.split(/(?<=\s)/)) {
+            if (request.signal && request.signal.aborted) {
+                throw request.signal.reason
+            }
+
+            yield word
+        }
+    }
+
+    return { name: 'fake', generate, stream }
+}
+
+// "Audio" is the UTF-8 text itself, in whatever format was asked for, which makes responses
+// easy to assert on.
+export const createFakeTts = () => {
+    const synthesize = async text => Buffer.from(text, 'utf8')
+
+    const listVoices = async () => [{ id: 'fake', name: 'Fake voice', languageCode: null, gender: null }]
+
+    return { name: 'fake', formats: Object.keys(AUDIO_FORMATS), synthesize, listVoices }
+}
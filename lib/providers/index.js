@@ -0,0 +1,119 @@
+import { createGoogleStt } from './stt/google.js'
+import { createAzureStt } from './stt/azure.js'
+import { createGeminiLlm } from './llm/gemini.js'
+import { createOpenAiLlm } from './llm/openai.js'
+import { createAzureTts } from './tts/azure.js'
+import { createElevenLabsTts } from './tts/elevenlabs.js'
+import { withTtsFallback } from './tts/fallback.js'
+import { withLlmResilience, withTtsResilience } from './resilience.js'
+import { createTtsCache, getTtsCacheOptions, withTtsCache } from '../tts-cache.js'
+import { createFakeStt, createFakeLlm, createFakeTts } from './fake.js'
+import { logger } from '../logger.js'
+
+// Every provider is a plain object with a `name` and one method per stage:
+//   stt.createStream({ encoding, sampleRateHertz, languageCode, onResult, onError }) -> { write(chunk), end() }
+//   llm.generate({ systemInstruction, contents, maxOutputTokens, tools, signal }) -> Promise<string | null>
+//   llm.stream({ systemInstruction, contents, maxOutputTokens, tools, signal }) -> AsyncIterable<string> (optional, yields text deltas)
+//   tts.synthesize(text, { voice, format, model, voiceSettings, signal }) -> Promise<Buffer>
+//   tts.formats -> names from AUDIO_FORMATS (audio-formats.js) the provider can produce
+//   tts.listVoices({ languageCode }) -> Promise<[{ id, name, ... }]>
+// `model` and `voiceSettings` ({ stability, similarityBoost, style, speed }) are ElevenLabs
+// options; other engines ignore them.
+// `signal` is an AbortSignal; aborting it cancels the request and rejects with `signal.reason`.
+// `tools` is a tool registry (tools/index.js); LLMs without function calling ignore it.
+const sttProviders = {
+    google: createGoogleStt,
+    azure: createAzureStt,
+    fake: createFakeStt,
+}
+
+const llmProviders = {
+    gemini: createGeminiLlm,
+    openai: createOpenAiLlm,
+    fake: createFakeLlm,
+}
+
+const ttsProviders = {
+    azure: createAzureTts,
+    elevenlabs: createElevenLabsTts,
+    fake: createFakeTts,
+}
+
+// Besides the default TTS provider, every engine with credentials is built so sessions can
+// switch to it. Failed syntheses are retried with TTS_FALLBACK_PROVIDER ('none' to disable).
+// Each engine is cached before the fallback is added, so fallback audio is stored under the
+// engine that actually produced it. Below the cache, LLM and TTS calls get timeouts, retries
+// and a circuit breaker (resilience.js); an open TTS circuit goes straight to the fallback.
+const isTtsConfigured = {
+    azure: () => Boolean(process.env.AZURE_SPEECH_KEY && process.env.AZURE_SPEECH_REGION),
+    elevenlabs: clients => Boolean(clients.elevenlabsClient || process.env.ELEVENLABS_API_KEY),
+}
+
+export const getProviderConfig = () => ({
+    stt: process.env.STT_PROVIDER || 'google',
+    llm: process.env.LLM_PROVIDER || 'gemini',
+    tts: process.env.TTS_PROVIDER || 'azure',
+    ttsFallback: process.env.TTS_FALLBACK_PROVIDER || 'azure',
+})
+
+// `selection` values are either a registered provider name or an already built provider object.
+// `clients` holds pre-constructed SDK clients (speechClient, elevenlabsClient) to reuse, and
+// `geminiApiUrl` to talk to a Gemini-compatible server other than Google's.
+const resolveProvider = (registry, stage, selection, clients) => {
+    if (typeof selection === 'object' && selection !== null) {
+        return selection
+    }
+
+    const factory = registry[selection]
+
+    if (!factory) {
+        throw new Error(`Unknown ${stage} provider "${selection}". Available: ${Object.keys(registry).join(', ')}`)
+    }
+
+    return factory(clients)
+}
+
+// `ttsCache` is a cache from tts-cache.js, or null to synthesise every phrase.
+export const createProviders = (selection = {}, clients = {}, { ttsCache = getTtsCacheOptions().enabled ? createTtsCache() : null } = {}) => {
+    const config = { ...getProviderConfig(), ...selection }
+
+    const tts = resolveProvider(ttsProviders, 'TTS', config.tts, clients)
+    const ttsEngines = { [tts.name]: tts }
+
+    for (const [name, isConfigured] of Object.entries(isTtsConfigured)) {
+        if (!ttsEngines[name] && isConfigured(clients)) {
+            ttsEngines[name] = ttsProviders[name](clients)
+        }
+    }
+
+    for (const [name, engine] of Object.entries(ttsEngines)) {
+        if (name !== 'fake') {
+            const resilientEngine = withTtsResilience(engine)
+            ttsEngines[name] = ttsCache ? withTtsCache(resilientEngine, ttsCache) : resilientEngine
+        }
+    }
+
+    const fallback = ttsEngines[config.ttsFallback]
+
+    if (fallback) {
+        for (const name of Object.keys(ttsEngines)) {
+            if (name !== fallback.name && name !== 'fake') {
+                ttsEngines[name] = withTtsFallback(ttsEngines[name], fallback)
+            }
+        }
+    }
+
+    const llm = resolveProvider(llmProviders, 'LLM', config.llm, clients)
+
+    const providers = {
+        stt: resolveProvider(sttProviders, 'STT', config.stt, clients),
+        llm: llm.name === 'fake' ? llm : withLlmResilience(llm),
+        tts: ttsEngines[tts.name],
+        ttsEngines,
+        ttsCache,
+    }
+
+    logger.info('Providers selected.', { stt: providers.stt.name, llm: providers.llm.name, tts: tts.name, ttsEngines: Object.keys(ttsEngines) })
+
+    return providers
+}
@@ -0,0 +1,146 @@
+import fetch from 'node-fetch'
+
+import { readServerSentEvents } from '../../sse.js'
+import { getEnvNumber } from '../../env.js'
+import { logger } from '../../logger.js'
+import { readHttpError } from '../../resilience.js'
+
+const DEFAULT_GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta'
+
+// `baseUrl` points at another Gemini-compatible server, such as the stub the tests run.
+const getGeminiApiUrl = (baseUrl, method) => {
+    const geminiApiKey = process.env.GEMINI_API_KEY
+    const geminiModel = process.env.GEMINI_MODEL || 'gemini-2.0-flash'
+
+    return `${baseUrl}/models/${geminiModel}:${method}?key=${geminiApiKey}`
+}
+
+// Rounds of tool calls allowed before one answer has to be plain text.
+const getMaxToolRounds = () => getEnvNumber('TOOL_MAX_ROUNDS', 5)
+
+const getCandidateParts = geminiResult => {
+    if (geminiResult.candidates && geminiResult.candidates.length > 0 &&
+        geminiResult.candidates[0].content && geminiResult.candidates[0].content.parts &&
+        geminiResult.candidates[0].content.parts.length > 0) {
+        return geminiResult.candidates[0].content.parts
+    }
+
+    return null
+}
+
+const getCandidateText = geminiResult => {
+    const parts = getCandidateParts(geminiResult)
+
+    return parts ? parts.map(part => part.text || '').join('') : null
+}
+
+// Runs the function calls of one model turn and returns the contents to append: the model turn
+// itself (parts are echoed back unchanged, thought signatures included) and the results.
+const runFunctionCalls = async (modelParts, tools, signal) => {
+    const responseParts = []
+
+    for (const { functionCall } of modelParts.filter(part => part.functionCall)) {
+        const response = await tools.call(functionCall.name, functionCall.args || {}, { signal })
+        responseParts.push({ functionResponse: { name: functionCall.name, response } })
+    }
+
+    return [{ role: 'model', parts: modelParts }, { role: 'user', parts: responseParts }]
+}
+
+// `allowFunctionCalls` is false on the last round, which has to be answered with text.
+const postToGemini = async (url, { contents, systemInstruction, maxOutputTokens, tools, signal }, { allowFunctionCalls }) => {
+    const geminiPayload = { contents }
+
+    if (systemInstruction) {
+        geminiPayload.systemInstruction = { parts: [{ text: systemInstruction }] }
+    }
+
+    if (tools && tools.size > 0) {
+        geminiPayload.tools = [{ functionDeclarations: tools.declarations }]
+
+        if (!allowFunctionCalls) {
+            geminiPayload.toolConfig = { functionCallingConfig: { mode: 'NONE' } }
+        }
+    }
+
+    if (maxOutputTokens) {
+        geminiPayload.generationConfig = { maxOutputTokens }
+    }
+
+    const geminiResponse = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(geminiPayload),
+        signal
+    })
+
+    if (!geminiResponse.ok) {
+        throw await readHttpError('Gemini', geminiResponse)
+    }
+
+    return geminiResponse
+}
+
+// With `tools` (see tools/index.js) in the request, function calls Gemini makes are executed
+// and their results sent back until it answers with text. The intermediate turns only live
+// for the duration of the request; the conversation history keeps the final text.
+// The API address is `geminiApiUrl`, GEMINI_API_URL or Google's.
+export const createGeminiLlm = ({ geminiApiUrl } = {}) => {
+    const baseUrl = (geminiApiUrl || process.env.GEMINI_API_URL || DEFAULT_GEMINI_API_URL).replace(/\/+$/, '')
+
+    // Returns the text of the first candidate, or null when Gemini answers with an unexpected structure.
+    const generate = async request => {
+        let contents = request.contents
+
+        for (let round = 0; ; round++) {
+            const allowFunctionCalls = round < getMaxToolRounds()
+            const geminiResponse = await postToGemini(getGeminiApiUrl(baseUrl, 'generateContent'), { ...request, contents }, { allowFunctionCalls })
+            const geminiResult = await geminiResponse.json()
+            const parts = getCandidateParts(geminiResult) || []
+
+            if (request.tools && allowFunctionCalls && parts.some(part => part.functionCall)) {
+                contents = [...contents, ...await runFunctionCalls(parts, request.tools, request.signal)]
+                continue
+            }
+
+            const aiText = getCandidateText(geminiResult)
+
+            if (aiText === null) {
+                logger.warn('Gemini returned an unexpected response structure.')
+            }
+
+            return aiText
+        }
+    }
+
+    // Yields text deltas as Gemini produces them. Function calls arrive as parts of the stream
+    // too; they are run once the stream ends and the follow-up answer is streamed in turn.
+    const stream = async function* (request) {
+        let contents = request.contents
+
+        for (let round = 0; ; round++) {
+            const allowFunctionCalls = round < getMaxToolRounds()
+            const geminiResponse = await postToGemini(`${getGeminiApiUrl(baseUrl, 'streamGenerateContent')}&alt=sse`, { ...request, contents }, { allowFunctionCalls })
+            const modelParts = []
+
+            for await (const data of readServerSentEvents(geminiResponse.body)) {
+                const parts = getCandidateParts(JSON.parse(data)) || []
+                modelParts.push(...parts)
+
+                const text = parts.map(part => part.text || '').join('')
+
+                if (text) {
+                    yield text
+                }
+            }
+
+            if (!request.tools || !allowFunctionCalls || !modelParts.some(part => part.functionCall)) {
+                return
+            }
+
+            contents = [...contents, ...await runFunctionCalls(modelParts, request.tools, request.signal)]
+        }
+    }
+
+    return { name: 'gemini', generate, stream }
+}
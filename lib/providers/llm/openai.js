@@ -0,0 +1,77 @@
+import fetch from 'node-fetch'
+
+import { readServerSentEvents } from '../../sse.js'
+import { logger } from '../../logger.js'
+import { readHttpError } from '../../resilience.js'
+
+// Any OpenAI-compatible chat completions API (OpenAI, Azure OpenAI proxies, vLLM, Ollama, ...).
+// History arrives in Gemini `contents` format and is converted to chat messages here.
+const toMessages = (contents, systemInstruction) => {
+    const messages = contents.map(content => ({
+        role: content.role === 'model' ? 'assistant' : 'user',
+        content: content.parts.map(part => part.text).join(''),
+    }))
+
+    if (systemInstruction) {
+        messages.unshift({ role: 'system', content: systemInstruction })
+    }
+
+    return messages
+}
+
+const postToOpenAi = async ({ contents, systemInstruction, maxOutputTokens, signal }, options = {}) => {
+    const baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
+    const model = process.env.OPENAI_MODEL || 'gpt-4o-mini'
+
+    if (maxOutputTokens) {
+        options = { ...options, max_tokens: maxOutputTokens }
+    }
+
+    const openAiResponse = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+        },
+        body: JSON.stringify({ model, messages: toMessages(contents, systemInstruction), ...options }),
+        signal
+    })
+
+    if (!openAiResponse.ok) {
+        throw await readHttpError('OpenAI', openAiResponse)
+    }
+
+    return openAiResponse
+}
+
+export const createOpenAiLlm = () => {
+    const generate = async request => {
+        const openAiResponse = await postToOpenAi(request)
+        const openAiResult = await openAiResponse.json()
+
+        if (openAiResult.choices && openAiResult.choices.length > 0 && openAiResult.choices[0].message) {
+            return openAiResult.choices[0].message.content
+        }
+
+        logger.warn('OpenAI returned an unexpected response structure.')
+        return null
+    }
+
+    const stream = async function* (request) {
+        const openAiResponse = await postToOpenAi(request, { stream: true })
+
+        for await (const data of readServerSentEvents(openAiResponse.body)) {
+            if (data === '[DONE]') {
+                return
+            }
+
+            const chunk = JSON.parse(data)
+
+            if (chunk.choices && chunk.choices.length > 0 && chunk.choices[0].delta && chunk.choices[0].delta.content) {
+                yield chunk.choices[0].delta.content
+            }
+        }
+    }
+
+    return { name: 'openai', generate, stream }
+}
@@ -0,0 +1,94 @@
+import { secondsSince } from '../metrics.js'
+import { getTtsEngines } from './tts/engines.js'
+
+const isCancelled = signal => Boolean(signal && signal.aborted)
+
+// Wraps every provider so call latencies and failures are recorded in `metrics` (metrics.js).
+// TTS engines are wrapped outside their cache and fallback, so the numbers are what callers see.
+export const withProviderMetrics = (providers, metrics) => {
+    const countError = (stage, provider) => metrics.providerErrors.inc({ stage, provider })
+
+    const instrumentStt = stt => ({
+        ...stt,
+        createStream: options => stt.createStream({
+            ...options,
+            onError: error => {
+                countError('stt', stt.name)
+                options.onError(error)
+            },
+        }),
+    })
+
+    const instrumentLlm = llm => {
+        const generate = async request => {
+            const startedAt = Date.now()
+
+            try {
+                const text = await llm.generate(request)
+                metrics.llmSeconds.observe({ provider: llm.name, phase: 'complete' }, secondsSince(startedAt))
+                return text
+            } catch (error) {
+                if (!isCancelled(request.signal)) {
+                    countError('llm', llm.name)
+                }
+
+                throw error
+            }
+        }
+
+        const stream = async function* (request) {
+            const startedAt = Date.now()
+            let firstDelta = true
+
+            try {
+                for await (const delta of llm.stream(request)) {
+                    if (firstDelta) {
+                        firstDelta = false
+                        metrics.llmSeconds.observe({ provider: llm.name, phase: 'first_token' }, secondsSince(startedAt))
+                    }
+
+                    yield delta
+                }
+
+                metrics.llmSeconds.observe({ provider: llm.name, phase: 'complete' }, secondsSince(startedAt))
+            } catch (error) {
+                if (!isCancelled(request.signal)) {
+                    countError('llm', llm.name)
+                }
+
+                throw error
+            }
+        }
+
+        return { ...llm, generate, stream: llm.stream ? stream : undefined }
+    }
+
+    const instrumentTts = tts => ({
+        ...tts,
+        synthesize: async (text, options = {}) => {
+            const startedAt = Date.now()
+
+            try {
+                const audio = await tts.synthesize(text, options)
+                metrics.ttsSeconds.observe({ provider: tts.name }, secondsSince(startedAt))
+                return audio
+            } catch (error) {
+                if (!isCancelled(options.signal)) {
+                    countError('tts', tts.name)
+                }
+
+                throw error
+            }
+        },
+    })
+
+    const ttsEngines = Object.fromEntries(Object.entries(getTtsEngines(providers)).map(([name, engine]) => [name, instrumentTts(engine)]))
+
+    return {
+        ...providers,
+        stt: instrumentStt(providers.stt),
+        llm: instrumentLlm(providers.llm),
+        tts: ttsEngines[providers.tts.name],
+        ttsEngines,
+    }
+}
@@ -0,0 +1,150 @@
+import {
+    createCircuitBreaker,
+    createTimeoutError,
+    getResilienceOptions,
+    getRetryDelayMs,
+    retry,
+    shouldRetry,
+    sleep,
+    withTimeout,
+} from '../resilience.js'
+import { logger } from '../logger.js'
+
+// Every call gets a timeout, transient failures are retried with backoff and a circuit breaker
+// per provider stops calling one that keeps failing. The breaker is exposed as
+// `circuitBreaker` for metrics.
+
+// Tool calls run inside the request, and their handlers may change things (book, order, send).
+// Wraps `request.tools` to note when one has run, after which the request isn't retried.
+const trackToolCalls = request => {
+    let called = false
+
+    if (!request.tools) {
+        return { request, hasCalledTools: () => called }
+    }
+
+    const call = (...args) => {
+        called = true
+        return request.tools.call(...args)
+    }
+
+    return { request: { ...request, tools: { ...request.tools, call } }, hasCalledTools: () => called }
+}
+
+export const withLlmResilience = (llm, options = getResilienceOptions()) => {
+    const { llmTimeoutMs, retries, retryBaseDelayMs, breakerThreshold, breakerResetMs } = options
+    const description = `${llm.name} LLM`
+    const circuitBreaker = createCircuitBreaker({ name: description, threshold: breakerThreshold, resetMs: breakerResetMs })
+
+    const generate = originalRequest => {
+        const { request, hasCalledTools } = trackToolCalls(originalRequest)
+
+        return retry(
+            () => circuitBreaker.run(
+                () => withTimeout(signal => llm.generate({ ...request, signal }), { ms: llmTimeoutMs, signal: request.signal, description }),
+                request.signal,
+            ),
+            { retries, baseDelayMs: retryBaseDelayMs, signal: request.signal, description, canRetry: () => !hasCalledTools() },
+        )
+    }
+
+    // The timeout applies to the wait for each delta, so long answers aren't cut off. A stream
+    // is only retried while it hasn't yielded anything or called a tool.
+    const streamOnce = async function* (request) {
+        const controller = new AbortController()
+        const timeoutError = createTimeoutError(description, llmTimeoutMs)
+        const forwardAbort = () => controller.abort(request.signal.reason)
+        let timer
+        let timedOut = false
+
+        const armTimer = () => {
+            timer = setTimeout(() => {
+                timedOut = true
+                controller.abort(timeoutError)
+            }, llmTimeoutMs)
+        }
+
+        if (request.signal) {
+            request.signal.addEventListener('abort', forwardAbort, { once: true })
+        }
+
+        try {
+            armTimer()
+
+            for await (const delta of llm.stream({ ...request, signal: controller.signal })) {
+                clearTimeout(timer)
+                yield delta
+                armTimer()
+            }
+        } catch (error) {
+            throw timedOut ? timeoutError : error
+        } finally {
+            clearTimeout(timer)
+
+            if (request.signal) {
+                request.signal.removeEventListener('abort', forwardAbort)
+            }
+        }
+    }
+
+    const stream = async function* (originalRequest) {
+        const { request, hasCalledTools } = trackToolCalls(originalRequest)
+
+        for (let attempt = 0; ; attempt++) {
+            let yielded = false
+            let settled = false
+            let failure = null
+
+            circuitBreaker.acquire()
+
+            try {
+                for await (const delta of streamOnce(request)) {
+                    yielded = true
+                    yield delta
+                }
+
+                circuitBreaker.record(null)
+                settled = true
+            } catch (error) {
+                circuitBreaker.record(error, request.signal)
+                settled = true
+                failure = error
+            } finally {
+                // The consumer stopped reading early.
+                if (!settled) {
+                    circuitBreaker.release()
+                }
+            }
+
+            if (!failure) {
+                return
+            }
+
+            if (yielded || hasCalledTools() || !shouldRetry(failure, attempt, { retries, signal: request.signal })) {
+                throw failure
+            }
+
+            const delayMs = getRetryDelayMs(failure, attempt, retryBaseDelayMs)
+            logger.warn('Retrying provider call.', { provider: description, attempt: attempt + 1, delayMs: Math.round(delayMs), error: failure })
+            await sleep(delayMs, request.signal)
+        }
+    }
+
+    return { ...llm, generate, stream: llm.stream ? stream : undefined, circuitBreaker }
+}
+
+export const withTtsResilience = (tts, options = getResilienceOptions()) => {
+    const { ttsTimeoutMs, retries, retryBaseDelayMs, breakerThreshold, breakerResetMs } = options
+    const description = `${tts.name} TTS`
+    const circuitBreaker = createCircuitBreaker({ name: description, threshold: breakerThreshold, resetMs: breakerResetMs })
+
+    const synthesize = (text, synthesisOptions = {}) => retry(
+        () => circuitBreaker.run(
+            () => withTimeout(signal => tts.synthesize(text, { ...synthesisOptions, signal }), { ms: ttsTimeoutMs, signal: synthesisOptions.signal, description }),
+            synthesisOptions.signal,
+        ),
+        { retries, baseDelayMs: retryBaseDelayMs, signal: synthesisOptions.signal, description },
+    )
+
+    return { ...tts, synthesize, circuitBreaker }
+}
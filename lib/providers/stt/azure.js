@@ -0,0 +1,50 @@
+import * as sdk from 'microsoft-cognitiveservices-speech-sdk'
+
+import { getAzureSpeechConfig } from '../tts/azure.js'
+import { logger } from '../../logger.js'
+
+// Azure continuous recognition over a push stream. Only raw 16-bit PCM (LINEAR16) is supported.
+export const createAzureStt = () => {
+    const createStream = ({ encoding, sampleRateHertz, languageCode, onResult, onError }) => {
+        if (encoding !== 'LINEAR16') {
+            throw new Error(`Azure STT only supports LINEAR16 audio, got ${encoding}.`)
+        }
+
+        const speechConfig = getAzureSpeechConfig()
+        speechConfig.speechRecognitionLanguage = languageCode
+
+        const pushStream = sdk.AudioInputStream.createPushStream(sdk.AudioStreamFormat.getWaveFormatPCM(sampleRateHertz, 16, 1))
+        const recognizer = new sdk.SpeechRecognizer(speechConfig, sdk.AudioConfig.fromStreamInput(pushStream))
+
+        recognizer.recognizing = (sender, event) => {
+            onResult({ transcript: event.result.text, isFinal: false })
+        }
+
+        recognizer.recognized = (sender, event) => {
+            if (event.result.reason === sdk.ResultReason.RecognizedSpeech && event.result.text) {
+                onResult({ transcript: event.result.text, isFinal: true })
+            }
+        }
+
+        recognizer.canceled = (sender, event) => {
+            if (event.reason === sdk.CancellationReason.Error) {
+                onError(new Error(`Azure STT canceled: ${event.errorDetails}`))
+            }
+        }
+
+        recognizer.startContinuousRecognitionAsync(
+            () => logger.debug('Azure STT continuous recognition started.'),
+            error => onError(new Error(`Azure STT error: ${error}`))
+        )
+
+        return {
+            write: chunk => pushStream.write(chunk.buffer.slice(chunk.byteOffset, chunk.byteOffset + chunk.byteLength)),
+            end: () => {
+                pushStream.close()
+                recognizer.stopContinuousRecognitionAsync(() => recognizer.close(), () => recognizer.close())
+            },
+        }
+    }
+
+    return { name: 'azure', createStream }
+}
@@ -0,0 +1,214 @@
+import { SpeechClient } from '@google-cloud/speech'
+
+import { getEnvNumber } from '../../env.js'
+import { logger } from '../../logger.js'
+
+// gRPC status Google uses when a stream hits its duration limit or goes without audio too long.
+const OUT_OF_RANGE = 11
+
+// Sample size of the uncompressed encodings, whose audio can be cut at a point in time.
+const SAMPLE_BYTES = { LINEAR16: 2, MULAW: 1 }
+
+// Result times are protobuf durations; `seconds` may arrive as a string or a Long.
+const toMs = duration => duration ? Number(duration.seconds || 0) * 1000 + (duration.nanos || 0) / 1e6 : null
+
+// Google closes streaming recognition after ~305 seconds, so streams are rotated before that.
+// Rotation prefers the gap right after a final result once the stream is older than
+// STT_STREAM_ROTATE_AFTER_MS, and is forced at STT_STREAM_MAX_MS.
+const getRotationOptions = () => ({
+    rotateAfterMs: getEnvNumber('STT_STREAM_ROTATE_AFTER_MS', 200000, { min: 1 }),
+    maxStreamMs: getEnvNumber('STT_STREAM_MAX_MS', 280000, { min: 1 }),
+    maxReplayBytes: getEnvNumber('STT_REPLAY_MAX_BYTES', 1024 * 1024, { min: 1 }),
+})
+
+export const createGoogleStt = ({ speechClient } = {}) => {
+    const client = speechClient || new SpeechClient()
+    logger.info('Google Cloud Speech-to-Text client initialized.')
+
+    // Returns one logical recognition stream that transparently restarts the underlying Google
+    // stream when it ages out, is closed by Google (VAD / single utterance), or fails with
+    // OUT_OF_RANGE. Audio after the end of the last final result (its `resultEndTime`) is kept and
+    // replayed into the new stream, so an utterance in progress during a rotation is neither lost
+    // nor finalised twice: results from the retired stream are ignored once rotation starts.
+    // Compressed encodings can't be cut mid-stream; for them a final result drops all kept audio.
+    const createStream = ({ encoding, sampleRateHertz, languageCode, onResult, onError }) => {
+        const { rotateAfterMs, maxStreamMs, maxReplayBytes } = getRotationOptions()
+
+        const request = {
+            config: {
+                encoding,
+                sampleRateHertz,
+                languageCode,
+                interimResults: true,
+                enableAutomaticPunctuation: true,
+                enableVoiceActivityDetection: true,
+            },
+            interimResults: true
+        }
+
+        let recognizeStream = null
+        let streamStartedAt = 0
+        let rotationTimer = null
+        let closed = false
+
+        // The kept audio is the last `replayBytes` of everything written so far; offsets below
+        // count bytes from the start of the session's audio.
+        const replayChunks = []
+        let replayBytes = 0
+        let writtenBytes = 0
+        // Where the audio of the current Google stream starts.
+        let streamStartOffset = 0
+
+        const rememberAudio = chunk => {
+            replayChunks.push(chunk)
+            replayBytes += chunk.length
+            writtenBytes += chunk.length
+
+            while (replayBytes > maxReplayBytes && replayChunks.length > 1) {
+                replayBytes -= replayChunks.shift().length
+            }
+        }
+
+        const forgetAudioBefore = offset => {
+            let excess = offset - (writtenBytes - replayBytes)
+
+            while (excess > 0 && replayChunks.length > 0) {
+                const [oldest] = replayChunks
+
+                if (oldest.length <= excess) {
+                    replayChunks.shift()
+                    replayBytes -= oldest.length
+                    excess -= oldest.length
+                } else {
+                    replayChunks[0] = oldest.subarray(excess)
+                    replayBytes -= excess
+                    excess = 0
+                }
+            }
+        }
+
+        // Audio after the finalised speech may already hold the start of the next utterance.
+        const forgetFinalisedAudio = result => {
+            const sampleBytes = SAMPLE_BYTES[encoding]
+            const endMs = toMs(result.resultEndTime)
+
+            if (!sampleBytes || endMs === null) {
+                forgetAudioBefore(writtenBytes)
+                return
+            }
+
+            const endSamples = Math.floor(endMs * sampleRateHertz / 1000)
+            forgetAudioBefore(streamStartOffset + endSamples * sampleBytes)
+        }
+
+        // Retires the current Google stream. The next write opens a fresh one, so a quiet
+        // client doesn't keep an idle stream open until Google times it out.
+        const retireStream = reason => {
+            clearTimeout(rotationTimer)
+            rotationTimer = null
+
+            if (!recognizeStream) {
+                return
+            }
+
+            const retiredStream = recognizeStream
+            recognizeStream = null
+
+            retiredStream.removeAllListeners('data')
+            retiredStream.removeAllListeners('end')
+            retiredStream.removeAllListeners('error')
+            retiredStream.on('error', () => {})
+
+            if (!retiredStream.writableEnded && !retiredStream.destroyed) {
+                retiredStream.end()
+            }
+
+            logger.debug('Google STT stream rotated.', { reason, streamAgeMs: Date.now() - streamStartedAt })
+        }
+
+        const openStream = () => {
+            const stream = client.streamingRecognize(request)
+            streamStartedAt = Date.now()
+            streamStartOffset = writtenBytes - replayBytes
+
+            stream
+                .on('error', error => {
+                    // Once the caller has ended recognition nothing may reach it any more,
+                    // including a late final result or the error of a stream being torn down.
+                    if (closed) {
+                        return
+                    }
+
+                    if (error.code === OUT_OF_RANGE) {
+                        retireStream('duration limit')
+                        return
+                    }
+
+                    retireStream('error')
+                    onError(error)
+                })
+                .on('end', () => {
+                    if (stream === recognizeStream) {
+                        retireStream('closed by Google')
+                    }
+                })
+                .on('data', data => {
+                    if (closed) {
+                        return
+                    }
+
+                    if (data.results && data.results.length > 0) {
+                        const result = data.results[0]
+
+                        if (result.alternatives && result.alternatives.length > 0) {
+                            if (result.isFinal) {
+                                forgetFinalisedAudio(result)
+                            }
+
+                            onResult({ transcript: result.alternatives[0].transcript, isFinal: result.isFinal })
+
+                            if (result.isFinal && Date.now() - streamStartedAt > rotateAfterMs) {
+                                retireStream('after final result')
+                            }
+                        }
+                    }
+                })
+
+            rotationTimer = setTimeout(() => retireStream('max duration'), maxStreamMs)
+
+            if (replayChunks.length > 0) {
+                logger.debug('Google STT replaying unfinalised audio into the new stream.', { bytes: replayBytes })
+                replayChunks.forEach(chunk => stream.write(chunk))
+            }
+
+            logger.debug('Google STT streaming recognition started.')
+            return stream
+        }
+
+        return {
+            write: chunk => {
+                if (closed) {
+                    return
+                }
+
+                if (!recognizeStream) {
+                    recognizeStream = openStream()
+                }
+
+                rememberAudio(chunk)
+                recognizeStream.write(chunk)
+            },
+            end: () => {
+                closed = true
+                clearTimeout(rotationTimer)
+
+                if (recognizeStream) {
+                    recognizeStream.end()
+                    recognizeStream = null
+                }
+            },
+        }
+    }
+
+    return { name: 'google', createStream }
+}
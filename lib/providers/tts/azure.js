@@ -0,0 +1,113 @@
+import * as sdk from 'microsoft-cognitiveservices-speech-sdk'
+
+import { getProviderFormat, getProviderFormats } from '../../audio-formats.js'
+import { ProviderError } from '../../errors.js'
+
+// HTTP-like status codes for the cancellation reasons worth retrying (see resilience.js).
+const CANCELLATION_STATUS_CODES = {
+    [sdk.CancellationErrorCode.TooManyRequests]: 429,
+    [sdk.CancellationErrorCode.ConnectionFailure]: 503,
+    [sdk.CancellationErrorCode.ServiceTimeout]: 503,
+    [sdk.CancellationErrorCode.ServiceError]: 503,
+}
+
+export const getAzureSpeechConfig = () => {
+    const speechKey = process.env.AZURE_SPEECH_KEY
+    const speechRegion = process.env.AZURE_SPEECH_REGION
+
+    if (!speechKey || !speechRegion) {
+        throw new Error('Azure Speech Key or Region not configured in environment variables.')
+    }
+
+    return sdk.SpeechConfig.fromSubscription(speechKey, speechRegion)
+}
+
+// `createSynthesizer` builds the SDK synthesizer for a speech config; tests pass their own.
+export const createAzureTts = ({ createSynthesizer = speechConfig => new sdk.SpeechSynthesizer(speechConfig, undefined) } = {}) => {
+    // The options the audio is actually synthesised with, defaults filled in.
+    const resolveOptions = ({ voice, format } = {}) => ({
+        voice: voice || process.env.AZURE_TTS_VOICE_NAME || 'th-TH-AcharaNeural',
+        format,
+    })
+
+    const synthesize = async (text, options = {}) => {
+        const { signal } = options
+
+        if (signal && signal.aborted) {
+            throw signal.reason
+        }
+
+        const { voice, format } = resolveOptions(options)
+        const speechConfig = getAzureSpeechConfig()
+        speechConfig.speechSynthesisVoiceName = voice
+        speechConfig.speechSynthesisOutputFormat = sdk.SpeechSynthesisOutputFormat[getProviderFormat('azure', format)]
+
+        const synthesizer = createSynthesizer(speechConfig)
+
+        // The synthesizer holds a connection, so it's closed however the call ends.
+        return new Promise((resolve, reject) => {
+            const onAbort = () => finish(() => reject(signal.reason))
+            let finished = false
+
+            const finish = settle => {
+                if (finished) {
+                    return
+                }
+
+                finished = true
+
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort)
+                }
+
+                synthesizer.close()
+                settle()
+            }
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true })
+            }
+
+            synthesizer.speakTextAsync(
+                text,
+                result => {
+                    if (result.reason === sdk.ResultReason.SynthesizingAudioCompleted) {
+                        finish(() => resolve(Buffer.from(result.audioData)))
+                    } else {
+                        const cancellationDetails = sdk.CancellationDetails.fromResult(result)
+                        finish(() => reject(new ProviderError(
+                            `Azure TTS canceled: ${cancellationDetails.reason}. Error details: ${cancellationDetails.errorDetails}`,
+                            { statusCode: CANCELLATION_STATUS_CODES[cancellationDetails.ErrorCode] },
+                        )))
+                    }
+                },
+                error => {
+                    finish(() => reject(new ProviderError(`Azure TTS error: ${error}`)))
+                }
+            )
+        })
+    }
+
+    const listVoices = async ({ languageCode } = {}) => {
+        const synthesizer = createSynthesizer(getAzureSpeechConfig())
+
+        try {
+            const result = await synthesizer.getVoicesAsync(languageCode || '')
+
+            if (result.reason !== sdk.ResultReason.VoicesListRetrieved) {
+                throw new Error(`Azure voice list error: ${result.errorDetails}`)
+            }
+
+            return result.voices.map(voice => ({
+                id: voice.shortName,
+                name: voice.localName || voice.shortName,
+                languageCode: voice.locale,
+                gender: sdk.SynthesisVoiceGender[voice.gender] || null,
+            }))
+        } finally {
+            synthesizer.close()
+        }
+    }
+
+    return { name: 'azure', formats: getProviderFormats('azure'), resolveOptions, synthesize, listVoices }
+}
@@ -0,0 +1,69 @@
+import { ElevenLabsClient } from '@elevenlabs/elevenlabs-js'
+
+import { getProviderFormat, getProviderFormats } from '../../audio-formats.js'
+import { getEnvNumber } from '../../env.js'
+
+// Voice settings left out here use the voice's own defaults from the ElevenLabs voice library.
+export const getDefaultVoiceSettings = () => ({
+    stability: getEnvNumber('ELEVENLABS_STABILITY'),
+    similarityBoost: getEnvNumber('ELEVENLABS_SIMILARITY_BOOST'),
+    style: getEnvNumber('ELEVENLABS_STYLE'),
+    speed: getEnvNumber('ELEVENLABS_SPEED'),
+})
+
+const withoutUndefined = object => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined))
+
+export const createElevenLabsTts = ({ elevenlabsClient } = {}) => {
+    const elevenlabs = elevenlabsClient || new ElevenLabsClient({ apiKey: process.env.ELEVENLABS_API_KEY })
+
+    // The options the audio is actually synthesised with, defaults filled in.
+    const resolveOptions = ({ voice, format, model, voiceSettings } = {}) => ({
+        voice: voice || process.env.ELEVENLABS_VOICE_ID,
+        format,
+        model: model || process.env.ELEVENLABS_MODEL_ID || 'eleven_multilingual_v2',
+        voiceSettings: withoutUndefined({ ...getDefaultVoiceSettings(), ...voiceSettings }),
+    })
+
+    // Uses the streaming endpoint, which starts returning audio before the whole text is rendered.
+    // Retries are left to resilience.js rather than the SDK.
+    const synthesize = async (text, options = {}) => {
+        const { voice, format, model, voiceSettings } = resolveOptions(options)
+
+        if (!voice) {
+            throw new Error('ElevenLabs voice id not configured in environment variables.')
+        }
+
+        const audioStream = await elevenlabs.textToSpeech.stream(voice, {
+            text,
+            modelId: model,
+            outputFormat: getProviderFormat('elevenlabs', format),
+            voiceSettings: Object.keys(voiceSettings).length > 0 ? voiceSettings : undefined,
+        }, { abortSignal: options.signal, maxRetries: 0 })
+
+        const chunks = []
+        for await (const chunk of audioStream) {
+            chunks.push(Buffer.from(chunk))
+        }
+
+        return Buffer.concat(chunks)
+    }
+
+    // Multilingual voices have no language information and are always listed.
+    const listVoices = async ({ languageCode } = {}) => {
+        const { voices } = await elevenlabs.voices.getAll()
+        const language = languageCode ? languageCode.split('-')[0].toLowerCase() : null
+
+        return voices
+            .filter(voice => !language || !voice.verifiedLanguages || voice.verifiedLanguages.length === 0 ||
+                voice.verifiedLanguages.some(verified => verified.language === language))
+            .map(voice => ({
+                id: voice.voiceId,
+                name: voice.name,
+                gender: (voice.labels && voice.labels.gender) || null,
+                category: voice.category || null,
+                previewUrl: voice.previewUrl || null,
+            }))
+    }
+
+    return { name: 'elevenlabs', formats: getProviderFormats('elevenlabs'), resolveOptions, synthesize, listVoices }
+}
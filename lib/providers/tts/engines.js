@@ -0,0 +1,3 @@
+// TTS engines a session can choose from, by name. Provider sets built by hand (tests, custom
+// entrypoints) may only have a single `tts`.
+export const getTtsEngines = providers => providers.ttsEngines || { [providers.tts.name]: providers.tts }
@@ -0,0 +1,38 @@
+
+import { logger } from '../../logger.js'
+import { getEnvNumber } from '../../env.js'
+
+// How long a TTS engine that reported an exhausted quota is skipped altogether.
+const getQuotaCooldownMs = () => getEnvNumber('TTS_QUOTA_COOLDOWN_MS', 5 * 60000)
+
+// ElevenLabs answers 401 with `quota_exceeded` (or 429 when rate limited).
+const isQuotaError = error => error.statusCode === 429 || /quota/i.test(JSON.stringify(error.body || error.message || ''))
+
+// Synthesises with `primary` and retries failures with `fallback`, using the fallback's default
+// voice since voice ids don't carry over between engines.
+export const withTtsFallback = (primary, fallback) => {
+    let skipUntil = 0
+
+    const synthesize = async (text, options = {}) => {
+        if (Date.now() >= skipUntil) {
+            try {
+                return await primary.synthesize(text, options)
+            } catch (error) {
+                if (options.signal && options.signal.aborted) {
+                    throw error
+                }
+
+                if (isQuotaError(error)) {
+                    skipUntil = Date.now() + getQuotaCooldownMs()
+                    logger.warn('TTS engine is out of quota. Using the fallback engine.', { tts: primary.name, fallback: fallback.name, cooldownMs: getQuotaCooldownMs() })
+                }
+
+                logger.error('TTS failed, falling back.', { tts: primary.name, fallback: fallback.name, error })
+            }
+        }
+
+        return fallback.synthesize(text, { format: options.format, signal: options.signal })
+    }
+
+    return { ...primary, fallback: fallback.name, synthesize }
+}
@@ -0,0 +1,199 @@
+import { getEnvNumber } from './env.js'
+import { ProviderError } from './errors.js'
+import { logger } from './logger.js'
+
+export const getResilienceOptions = () => ({
+    llmTimeoutMs: getEnvNumber('LLM_TIMEOUT_MS', 15000, { min: 1 }),
+    ttsTimeoutMs: getEnvNumber('TTS_TIMEOUT_MS', 10000, { min: 1 }),
+    nluTimeoutMs: getEnvNumber('NLU_TIMEOUT_MS', 5000, { min: 1 }),
+    retries: getEnvNumber('PROVIDER_RETRIES', 2),
+    retryBaseDelayMs: getEnvNumber('PROVIDER_RETRY_BASE_MS', 300, { min: 1 }),
+    breakerThreshold: getEnvNumber('CIRCUIT_BREAKER_THRESHOLD', 5, { min: 1 }),
+    breakerResetMs: getEnvNumber('CIRCUIT_BREAKER_RESET_MS', 30000, { min: 1 }),
+})
+
+const MAX_RETRY_DELAY_MS = 10000
+
+const TRANSIENT_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET'])
+
+// Worth retrying: timeouts, rate limits, server errors and dropped connections.
+export const isTransientError = error => error.code === 'timeout' ||
+    error.statusCode === 429 ||
+    error.statusCode >= 500 ||
+    TRANSIENT_NETWORK_CODES.has(error.code)
+
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+        return reject(signal.reason)
+    }
+
+    const timer = setTimeout(resolve, ms)
+
+    if (signal) {
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer)
+            reject(signal.reason)
+        }, { once: true })
+    }
+})
+
+const parseJson = text => {
+    try {
+        return JSON.parse(text)
+    } catch (error) {
+        return null
+    }
+}
+
+// Builds a ProviderError from a failed fetch response. The body may be JSON with an
+// `error.message` (Gemini, OpenAI), other JSON, plain text or nothing at all.
+export const readHttpError = async (description, response) => {
+    const body = await response.text().catch(() => '')
+    const data = parseJson(body)
+    const detail = (data && data.error && (data.error.message || JSON.stringify(data.error))) || body || response.statusText
+    const retryAfterSeconds = Number(response.headers.get('retry-after'))
+
+    return new ProviderError(`${description} API error: ${response.status} - ${detail.slice(0, 500)}`, {
+        statusCode: response.status,
+        retryAfterMs: retryAfterSeconds > 0 ? retryAfterSeconds * 1000 : undefined,
+    })
+}
+
+export const createTimeoutError = (description, ms) => new ProviderError(`${description} timed out after ${ms} ms.`, { code: 'timeout' })
+
+// Runs `attempt(signal)` with a signal that also aborts after `ms`. A timeout rejects with a
+// ProviderError of code 'timeout' even if `attempt` ignores the signal; cancellation through
+// the caller's `signal` keeps its own reason.
+export const withTimeout = (attempt, { ms, signal, description }) => {
+    if (signal && signal.aborted) {
+        return Promise.reject(signal.reason)
+    }
+
+    const controller = new AbortController()
+    const timeoutError = createTimeoutError(description, ms)
+    const forwardAbort = () => controller.abort(signal.reason)
+    let timer
+
+    if (signal) {
+        signal.addEventListener('abort', forwardAbort, { once: true })
+    }
+
+    const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            controller.abort(timeoutError)
+            reject(timeoutError)
+        }, ms)
+    })
+
+    return Promise.race([attempt(controller.signal), timedOut]).finally(() => {
+        clearTimeout(timer)
+
+        if (signal) {
+            signal.removeEventListener('abort', forwardAbort)
+        }
+    })
+}
+
+// Exponential backoff with jitter, or the provider's Retry-After when it sent one.
+export const getRetryDelayMs = (error, attempt, baseDelayMs) => Math.min(
+    error.retryAfterMs || baseDelayMs * 2 ** attempt * (0.5 + Math.random()),
+    MAX_RETRY_DELAY_MS,
+)
+
+export const shouldRetry = (error, attempt, { retries, signal }) => !(signal && signal.aborted) && attempt < retries && isTransientError(error)
+
+// Calls `attempt` until it succeeds, fails with a non-transient error or `retries` retries are used up.
+// `canRetry` can rule out a retry after a failure, e.g. once the attempt had side effects.
+export const retry = async (attempt, { retries, baseDelayMs, signal, description, canRetry = () => true }) => {
+    for (let attemptNumber = 0; ; attemptNumber++) {
+        try {
+            return await attempt()
+        } catch (error) {
+            if (!canRetry() || !shouldRetry(error, attemptNumber, { retries, signal })) {
+                throw error
+            }
+
+            const delayMs = getRetryDelayMs(error, attemptNumber, baseDelayMs)
+            logger.warn('Retrying provider call.', { provider: description, attempt: attemptNumber + 1, delayMs: Math.round(delayMs), error })
+            await sleep(delayMs, signal)
+        }
+    }
+}
+
+// Fails fast with a 'circuit_open' ProviderError after `threshold` transient failures in a row,
+// so a provider that is down doesn't add its timeout to every turn. After `resetMs` one trial
+// call is let through; its success closes the circuit again. Calls cancelled by the caller and
+// non-transient errors (bad requests) don't count as failures.
+export const createCircuitBreaker = ({ name, threshold, resetMs }) => {
+    let failures = 0
+    let openedAt = 0
+    let trialInFlight = false
+
+    const getState = () => {
+        if (!openedAt) {
+            return 'closed'
+        }
+
+        return Date.now() - openedAt >= resetMs ? 'half_open' : 'open'
+    }
+
+    // Throws while open; call `record` with the outcome of every call that got through.
+    const acquire = () => {
+        const state = getState()
+
+        if (state === 'open' || (state === 'half_open' && trialInFlight)) {
+            throw new ProviderError(`${name} is unavailable, calls are paused after repeated failures.`, { code: 'circuit_open' })
+        }
+
+        trialInFlight = state === 'half_open'
+    }
+
+    // For calls that ended without an outcome.
+    const release = () => {
+        trialInFlight = false
+    }
+
+    // `error` is null for a success; `signal` tells cancellations apart from failures.
+    const record = (error, signal) => {
+        release()
+
+        if (error && signal && signal.aborted) {
+            return
+        }
+
+        if (!error || !isTransientError(error)) {
+            if (openedAt) {
+                logger.info('Circuit closed.', { provider: name })
+            }
+
+            failures = 0
+            openedAt = 0
+            return
+        }
+
+        failures++
+
+        if (openedAt || failures >= threshold) {
+            if (!openedAt) {
+                logger.warn('Circuit opened.', { provider: name, failures, resetMs })
+            }
+
+            openedAt = Date.now()
+        }
+    }
+
+    const run = async (attempt, signal) => {
+        acquire()
+
+        try {
+            const result = await attempt()
+            record(null, signal)
+            return result
+        } catch (error) {
+            record(error, signal)
+            throw error
+        }
+    }
+
+    return { name, getState, acquire, record, release, run }
+}
@@ -0,0 +1,119 @@
+import express from 'express'
+
+import { HttpError } from '../errors.js'
+import { DEFAULT_AUDIO_FORMAT } from '../audio-formats.js'
+import { createSentenceSplitter } from '../sentences.js'
+import { getTtsCacheKey } from '../tts-cache.js'
+import { getTtsEngines } from '../providers/tts/engines.js'
+import { logger } from '../logger.js'
+
+const MAX_PREWARM_PHRASES = 500
+
+// Sessions synthesise streamed answers sentence by sentence and short answers in one piece, so
+// both forms of a phrase are warmed.
+const getPhraseVariants = text => {
+    const splitter = createSentenceSplitter()
+    const sentences = [...splitter.push(text), ...splitter.flush()]
+
+    return [...new Set([...sentences, text.trim()])]
+}
+
+// Operator routes, mounted under /api/admin behind `auth.requireAdmin`.
+//
+//   GET    /tts-cache           hit/miss counters and sizes
+//   POST   /tts-cache/prewarm   { phrases?, engine?, voice?, formats? } synthesises phrases into the
+//                               cache. Without `phrases`, every persona's fallbackText is warmed
+//                               with that persona's engine and voice.
+//   DELETE /tts-cache           empties the cache
+export const createAdminRouter = ({ providers, personas }) => {
+    const router = express.Router()
+    const { ttsCache } = providers
+    const ttsEngines = getTtsEngines(providers)
+
+    const requireCache = (req, res, next) => {
+        if (!ttsCache) {
+            return next(new HttpError(503, 'The TTS cache is disabled.'))
+        }
+
+        next()
+    }
+
+    // Mirrors how sessions pick an engine and voice for a persona.
+    const getPersonaJobs = () => personas.list().map(persona => {
+        const engine = ttsEngines[persona.ttsEngine]
+
+        return engine
+            ? { text: persona.fallbackText, engine, voice: persona.voice || undefined }
+            : { text: persona.fallbackText, engine: providers.tts, voice: persona.ttsEngine ? undefined : persona.voice || undefined }
+    })
+
+    const getRequestedJobs = ({ phrases, engine: engineName, voice }) => {
+        if (!Array.isArray(phrases) || phrases.length > MAX_PREWARM_PHRASES || !phrases.every(phrase => typeof phrase === 'string' && phrase.trim())) {
+            throw new HttpError(400, `phrases must be an array of up to ${MAX_PREWARM_PHRASES} non-empty strings.`)
+        }
+
+        const engine = engineName ? ttsEngines[engineName] : providers.tts
+
+        if (!engine) {
+            throw new HttpError(400, `Unknown TTS engine "${engineName}". Available: ${Object.keys(ttsEngines).join(', ')}`)
+        }
+
+        if (voice !== undefined && typeof voice !== 'string') {
+            throw new HttpError(400, 'voice must be a string.')
+        }
+
+        return phrases.map(text => ({ text, engine, voice: voice || undefined }))
+    }
+
+    router.get('/tts-cache', requireCache, (req, res) => {
+        res.json(ttsCache.getStats())
+    })
+
+    router.post('/tts-cache/prewarm', requireCache, async (req, res) => {
+        const body = req.body || {}
+        const formats = body.formats === undefined ? [DEFAULT_AUDIO_FORMAT] : body.formats
+
+        if (!Array.isArray(formats) || formats.length === 0) {
+            throw new HttpError(400, 'formats must be a non-empty array.')
+        }
+
+        const jobs = body.phrases === undefined ? getPersonaJobs() : getRequestedJobs(body)
+        const result = { warmed: 0, alreadyCached: 0, failed: [] }
+
+        // One synthesis at a time so warming doesn't eat into the engines' rate limits.
+        for (const { text, engine, voice } of jobs) {
+            for (const format of formats) {
+                if (!engine.formats.includes(format)) {
+                    result.failed.push({ text, engine: engine.name, format, error: `${engine.name} can't produce ${format}.` })
+                    continue
+                }
+
+                for (const variant of getPhraseVariants(text)) {
+                    if (ttsCache.has(getTtsCacheKey(engine, variant, { voice, format }))) {
+                        result.alreadyCached++
+                        continue
+                    }
+
+                    try {
+                        await engine.synthesize(variant, { voice, format })
+                        result.warmed++
+                    } catch (error) {
+                        result.failed.push({ text: variant, engine: engine.name, format, error: error.message })
+                    }
+                }
+            }
+        }
+
+        logger.info('TTS cache prewarmed.', { warmed: result.warmed, alreadyCached: result.alreadyCached, failed: result.failed.length })
+
+        res.json({ ...result, stats: ttsCache.getStats() })
+    })
+
+    router.delete('/tts-cache', requireCache, async (req, res) => {
+        await ttsCache.clear()
+        logger.info('TTS cache cleared.')
+        res.status(204).end()
+    })
+
+    return router
+}
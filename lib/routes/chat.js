@@ -0,0 +1,315 @@
+import express from 'express'
+import { v4 as uuidv4 } from 'uuid'
+
+import { HttpError } from '../errors.js'
+import { getEnvNumber } from '../env.js'
+import { createAssistant } from '../assistant.js'
+import { createSentenceSplitter } from '../sentences.js'
+import { AUDIO_FORMATS, DEFAULT_AUDIO_FORMAT } from '../audio-formats.js'
+import { DEFAULT_PERSONA } from '../personas.js'
+import { getTtsEngines } from '../providers/tts/engines.js'
+import { logger } from '../logger.js'
+
+const SESSION_ID_PATTERN = /^[\w-]{1,100}$/
+
+// Chat conversations live in memory and are dropped after CHAT_SESSION_TTL_MINUTES without a message.
+const getSessionTtlMs = () => getEnvNumber('CHAT_SESSION_TTL_MINUTES', 30, { min: 1 }) * 60000
+
+// A client starting a session past CHAT_MAX_SESSIONS_PER_CLIENT loses its least recently used
+// one; past CHAT_MAX_SESSIONS in total, new sessions are refused until old ones expire.
+const getSessionLimits = () => ({
+    perClient: getEnvNumber('CHAT_MAX_SESSIONS_PER_CLIENT', 100, { min: 1 }),
+    total: getEnvNumber('CHAT_MAX_SESSIONS', 10000, { min: 1 }),
+})
+
+const writeEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+const validateChatRequest = (body, tts) => {
+    const { message, sessionId, persona, stream = false, audio = false, outputFormat = DEFAULT_AUDIO_FORMAT } = body || {}
+
+    if (typeof message !== 'string' || !message.trim()) {
+        throw new HttpError(400, 'message must be a non-empty string.')
+    }
+
+    if (sessionId !== undefined && (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId))) {
+        throw new HttpError(400, 'sessionId may only contain letters, digits, "_" and "-" (up to 100 characters).')
+    }
+
+    if (persona !== undefined && typeof persona !== 'string') {
+        throw new HttpError(400, 'persona must be a string.')
+    }
+
+    if (typeof stream !== 'boolean' || typeof audio !== 'boolean') {
+        throw new HttpError(400, 'stream and audio must be booleans.')
+    }
+
+    if (audio && !tts.formats.includes(outputFormat)) {
+        throw new HttpError(400, `outputFormat must be one of ${tts.formats.join(', ')}.`)
+    }
+
+    return { message: message.trim(), sessionId, persona, stream, audio, outputFormat }
+}
+
+// Text entry point to the same assistant the voice WebSocket uses: same personas, NLU, LLM and
+// TTS providers, and a conversation history per `sessionId` (scoped to the calling client).
+//
+//   POST /api/chat { message, sessionId?, persona?, stream?, audio?, outputFormat? }
+//
+// Without `stream` the reply is one JSON object, with base64 `audio` when asked for. With
+// `stream: true` (or `Accept: text/event-stream`) it is a Server-Sent Events stream:
+//   start { sessionId, responseId, persona }
+//   text  { delta }
+//   audio { seq, text, format, data }   one per sentence, when `audio` is set
+//   degraded { mode, reason, message }  TTS failed; the rest of the answer comes as text only
+//   done  { text, chunks }
+//   error { code, message }
+// A JSON reply whose audio couldn't be synthesised has `degraded: 'text_only'` and no `audio`.
+export const createChatRouter = ({ providers, personas, usage, createNluSession = null, tools = null }) => {
+    const router = express.Router()
+    const { llm, tts } = providers
+    const ttsEngines = getTtsEngines(providers)
+    // Kept in order of last use, oldest first, so the first session of a client is the one to evict.
+    const sessions = new Map()
+    const sessionCounts = new Map()
+
+    const removeSession = key => {
+        const { clientId } = sessions.get(key)
+        const count = sessionCounts.get(clientId) - 1
+
+        sessions.delete(key)
+
+        if (count > 0) {
+            sessionCounts.set(clientId, count)
+        } else {
+            sessionCounts.delete(clientId)
+        }
+    }
+
+    const removeExpiredSessions = () => {
+        const expiredBefore = Date.now() - getSessionTtlMs()
+
+        for (const [key, session] of sessions) {
+            if (session.lastUsedAt < expiredBefore) {
+                removeSession(key)
+            }
+        }
+    }
+
+    // Makes room for one more session of `clientId`.
+    const reserveSession = clientId => {
+        const limits = getSessionLimits()
+
+        for (const [key, session] of sessions) {
+            if ((sessionCounts.get(clientId) || 0) < limits.perClient) {
+                break
+            }
+
+            if (session.clientId === clientId) {
+                session.log.info('Chat session evicted for a newer one of the same client.')
+                removeSession(key)
+            }
+        }
+
+        if (sessions.size >= limits.total) {
+            removeExpiredSessions()
+        }
+
+        if (sessions.size >= limits.total) {
+            logger.warn('Too many chat sessions, refusing a new one.', { clientId, sessions: sessions.size })
+            throw new HttpError(503, 'Too many open chat sessions. Try again later.')
+        }
+    }
+
+    setInterval(removeExpiredSessions, 60000).unref()
+
+    const findPersona = id => {
+        const persona = personas.get(id)
+
+        if (!persona) {
+            throw new HttpError(404, `Persona "${id}" not found.`)
+        }
+
+        return persona
+    }
+
+    const getSession = (req, { sessionId = uuidv4(), persona: personaId }) => {
+        const { clientId } = req.authClient
+        const key = `${clientId}:${sessionId}`
+        let session = sessions.get(key)
+
+        if (!session) {
+            const persona = personaId ? findPersona(personaId) : personas.get(DEFAULT_PERSONA.id) || DEFAULT_PERSONA
+            const log = logger.child({ sessionId, clientId })
+
+            reserveSession(clientId)
+
+            session = {
+                sessionId,
+                clientId,
+                log,
+                assistant: createAssistant({
+                    llm,
+                    persona,
+                    quota: usage.forClient(req.authClient),
+                    tools,
+                    nluSession: createNluSession ? createNluSession() : null,
+                    log,
+                }),
+            }
+            sessionCounts.set(clientId, (sessionCounts.get(clientId) || 0) + 1)
+        } else {
+            if (personaId && personaId !== session.assistant.getPersona().id) {
+                session.assistant.setPersona(findPersona(personaId))
+            }
+
+            sessions.delete(key)
+        }
+
+        sessions.set(key, session)
+        session.lastUsedAt = Date.now()
+
+        return session
+    }
+
+    // Personas choose their TTS engine like in voice sessions; the voice only goes with its engine.
+    const synthesize = (text, { persona, outputFormat, signal }) => {
+        const engine = ttsEngines[persona.ttsEngine]
+
+        return engine
+            ? engine.synthesize(text, { voice: persona.voice || undefined, format: outputFormat, signal })
+            : tts.synthesize(text, { voice: persona.ttsEngine ? undefined : persona.voice || undefined, format: outputFormat, signal })
+    }
+
+    const replyWithJson = async (res, { assistant, sessionId, log }, { message, audio, outputFormat }, signal) => {
+        const responseId = uuidv4()
+        let text = ''
+
+        for await (const delta of assistant.streamReply(message, signal)) {
+            text += delta
+        }
+
+        log.info('Chat answer generated.', { responseId, text })
+        const reply = { sessionId, responseId, persona: assistant.getPersona().id, text }
+
+        if (audio) {
+            try {
+                const audioBuffer = await synthesize(text, { persona: assistant.getPersona(), outputFormat, signal })
+                reply.audio = { format: outputFormat, mimeType: AUDIO_FORMATS[outputFormat].mimeType, data: audioBuffer.toString('base64') }
+            } catch (ttsError) {
+                if (signal.aborted) {
+                    throw ttsError
+                }
+
+                log.warn('Chat TTS failed. Replying with text only.', { responseId, error: ttsError })
+                reply.degraded = 'text_only'
+            }
+        }
+
+        res.json(reply)
+    }
+
+    // Sentences are synthesised in parallel as they complete but written in order.
+    const replyWithEvents = async (res, { assistant, sessionId, log }, { message, audio, outputFormat }, signal) => {
+        const persona = assistant.getPersona()
+        const splitter = createSentenceSplitter()
+        const responseId = uuidv4()
+
+        let text = ''
+        let seq = 0
+        let audioChunks = 0
+        let degraded = false
+        let delivery = Promise.resolve()
+
+        const degradeToText = ttsError => {
+            if (degraded || signal.aborted) {
+                return
+            }
+
+            degraded = true
+            log.warn('Chat TTS failed. Continuing the answer as text only.', { responseId, error: ttsError })
+            writeEvent(res, 'degraded', { mode: 'text_only', reason: 'tts_failed', message: `TTS error: ${ttsError.message}` })
+        }
+
+        const speak = sentence => {
+            const chunkSeq = seq++
+
+            if (degraded) {
+                return
+            }
+
+            const audioBuffer = synthesize(sentence, { persona, outputFormat, signal })
+
+            // The rejection surfaces when the delivery chain reaches this chunk.
+            audioBuffer.catch(() => {})
+
+            delivery = delivery.then(async () => {
+                if (degraded) {
+                    return
+                }
+
+                writeEvent(res, 'audio', { seq: chunkSeq, text: sentence, format: outputFormat, data: (await audioBuffer).toString('base64') })
+                audioChunks++
+            }).catch(degradeToText)
+        }
+
+        res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' })
+        res.flushHeaders()
+        writeEvent(res, 'start', { sessionId, responseId, persona: persona.id })
+
+        try {
+            for await (const delta of assistant.streamReply(message, signal)) {
+                text += delta
+                writeEvent(res, 'text', { delta })
+
+                if (audio) {
+                    splitter.push(delta).forEach(speak)
+                }
+            }
+
+            if (audio) {
+                splitter.flush().forEach(speak)
+            }
+
+            await delivery
+
+            log.info('Chat answer generated.', { responseId, text, chunks: audioChunks })
+            writeEvent(res, 'done', { text, chunks: audioChunks })
+        } catch (error) {
+            if (signal.aborted) {
+                return
+            }
+
+            log.error('Chat response failed.', { responseId, error })
+            writeEvent(res, 'error', { code: error.code || 'response_failed', message: error.message })
+        }
+
+        res.end()
+    }
+
+    router.post('/', async (req, res) => {
+        const request = validateChatRequest(req.body, tts)
+        const session = getSession(req, request)
+
+        // A client that goes away mid-answer cancels the LLM and TTS requests.
+        const controller = new AbortController()
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                controller.abort()
+            }
+        })
+
+        if (request.stream || req.accepts(['json', 'text/event-stream']) === 'text/event-stream') {
+            await replyWithEvents(res, session, request, controller.signal)
+        } else {
+            await replyWithJson(res, session, request, controller.signal).catch(error => {
+                if (!controller.signal.aborted) {
+                    throw error
+                }
+            })
+        }
+    })
+
+    return router
+}
@@ -0,0 +1,132 @@
+import express from 'express'
+
+import { HttpError } from '../errors.js'
+import { safeEqual } from '../auth.js'
+import { buildConversationInitiationData, verifyElevenLabsSignature } from '../elevenlabs-agent.js'
+import { logger } from '../logger.js'
+
+export const getElevenLabsWebhookConfig = () => ({
+    webhookSecret: process.env.ELEVENLABS_WEBHOOK_SECRET || null,
+    toolSecret: process.env.ELEVENLABS_TOOL_SECRET || null,
+})
+
+// Webhooks called by ElevenLabs itself. They authenticate with HMAC signatures instead of our
+// API keys, so they are mounted outside /api and read the raw body.
+//
+//   POST /tools/:name   server tools of the agent, dispatched to the tool registry. Configure the
+//                       tool in ElevenLabs with an `X-Tool-Secret: <ELEVENLABS_TOOL_SECRET>` secret
+//                       header (ElevenLabs doesn't sign tool calls), or sign it like a webhook.
+//   GET  /tools         the registered tools' declarations, to copy into the agent config
+//   POST /post-call     post-call webhook, signed with ELEVENLABS_WEBHOOK_SECRET; transcripts are stored
+export const createElevenLabsWebhookRouter = ({ tools, conversations, config = getElevenLabsWebhookConfig() }) => {
+    const router = express.Router()
+    router.use(express.raw({ type: 'application/json', limit: '5mb' }))
+
+    const getRawBody = req => Buffer.isBuffer(req.body) ? req.body.toString('utf8') : ''
+
+    const readJson = req => {
+        try {
+            return JSON.parse(getRawBody(req) || '{}')
+        } catch (error) {
+            throw new HttpError(400, 'Body must be JSON.')
+        }
+    }
+
+    const requireToolSecret = (req, res, next) => {
+        if (!config.toolSecret) {
+            return next(new HttpError(503, 'ELEVENLABS_TOOL_SECRET is not set.'))
+        }
+
+        const secretHeader = req.headers['x-tool-secret']
+
+        if ((secretHeader && safeEqual(secretHeader, config.toolSecret)) ||
+            verifyElevenLabsSignature(getRawBody(req), req.headers['elevenlabs-signature'], config.toolSecret)) {
+            return next()
+        }
+
+        logger.warn('Rejected ElevenLabs tool call with a missing or invalid secret.')
+        next(new HttpError(401, 'Invalid tool secret or signature.'))
+    }
+
+    router.get('/tools', requireToolSecret, (req, res) => {
+        res.json(tools.declarations)
+    })
+
+    router.post('/tools/:name', requireToolSecret, async (req, res) => {
+        if (!tools.declarations.some(declaration => declaration.name === req.params.name)) {
+            throw new HttpError(404, `Tool "${req.params.name}" not found.`)
+        }
+
+        res.json(await tools.call(req.params.name, readJson(req)))
+    })
+
+    router.post('/post-call', async (req, res) => {
+        if (!config.webhookSecret) {
+            throw new HttpError(503, 'ELEVENLABS_WEBHOOK_SECRET is not set.')
+        }
+
+        if (!verifyElevenLabsSignature(getRawBody(req), req.headers['elevenlabs-signature'], config.webhookSecret)) {
+            logger.warn('Rejected ElevenLabs post-call webhook with an invalid signature.')
+            throw new HttpError(401, 'Invalid signature.')
+        }
+
+        const event = readJson(req)
+
+        // Audio and failure notifications are acknowledged but not stored.
+        if (event.type === 'post_call_transcription') {
+            const conversation = await conversations.save(event.data || {})
+            logger.info('Stored ElevenLabs conversation.', { conversationId: conversation.conversationId, turns: conversation.transcript.length })
+        } else {
+            logger.info('Ignoring ElevenLabs webhook.', { type: event.type })
+        }
+
+        res.json({ received: true })
+    })
+
+    return router
+}
+
+// Authenticated routes for our own clients, mounted under /api.
+//
+//   GET  /get-signed-url             signed URL for AGENT_ID (kept for existing clients)
+//   POST /elevenlabs/signed-url      { dynamicVariables?, overrides?: { firstMessage, language, voiceId } }
+//   GET  /elevenlabs/conversations   stored post-call transcripts (admin only)
+//   GET  /elevenlabs/conversations/:id
+//
+// Signed URL responses include `conversationInitiationClientData`, the message the client sends
+// first on the WebSocket, with `user_id` set to the authenticated client id. The client can edit
+// it before sending, so don't treat `user_id` in agent tools or transcripts as verified.
+export const createElevenLabsApiRouter = ({ elevenlabs, conversations, requireAdmin, agentId = process.env.AGENT_ID }) => {
+    const router = express.Router()
+
+    const getSignedUrl = async (req, options) => {
+        const conversationInitiationClientData = buildConversationInitiationData(options, { user_id: req.authClient.clientId })
+
+        try {
+            const { signedUrl } = await elevenlabs.conversationalAi.conversations.getSignedUrl({ agentId })
+
+            return { signedUrl, conversationInitiationClientData }
+        } catch (err) {
+            logger.error('Failed to get signed URL.', { agentId, error: err })
+            throw new HttpError(500, 'Failed to get signed URL')
+        }
+    }
+
+    router.get('/get-signed-url', async (req, res) => {
+        res.json(await getSignedUrl(req, {}))
+    })
+
+    router.post('/elevenlabs/signed-url', async (req, res) => {
+        res.json(await getSignedUrl(req, req.body || {}))
+    })
+
+    router.get('/elevenlabs/conversations', requireAdmin, async (req, res) => {
+        res.json(await conversations.list())
+    })
+
+    router.get('/elevenlabs/conversations/:id', requireAdmin, async (req, res) => {
+        res.json(await conversations.read(req.params.id))
+    })
+
+    return router
+}
@@ -0,0 +1,71 @@
+import express from 'express'
+import { GoogleAuth } from 'google-auth-library'
+
+import { getTtsEngines } from '../providers/tts/engines.js'
+
+// Credentials each provider needs, by provider name. Returns a problem, or null when configured.
+// Google is checked by the router, see below.
+const CREDENTIAL_CHECKS = {
+    azure: () => process.env.AZURE_SPEECH_KEY && process.env.AZURE_SPEECH_REGION ? null : 'AZURE_SPEECH_KEY and AZURE_SPEECH_REGION must be set.',
+    gemini: () => process.env.GEMINI_API_KEY ? null : 'GEMINI_API_KEY is not set.',
+    openai: () => process.env.OPENAI_API_KEY ? null : 'OPENAI_API_KEY is not set.',
+    elevenlabs: () => process.env.ELEVENLABS_API_KEY ? null : 'ELEVENLABS_API_KEY is not set.',
+}
+
+// Unauthenticated probes for load balancers and orchestrators.
+//
+//   GET /healthz   the process is up
+//   GET /readyz    503 unless every provider in use (and Google for Dialogflow NLU) has credentials,
+//                  and while the server drains on shutdown
+//
+// Google clients find Application Default Credentials in a key file, gcloud's user credentials or
+// the metadata server, so readiness asks `googleAuth` the same way. The lookup is cached once it
+// succeeds; a failed one is repeated on the next probe.
+export const createHealthRouter = ({ providers, usesDialogflow = false, isDraining = () => false, googleAuth = new GoogleAuth() }) => {
+    const router = express.Router()
+    const startedAt = Date.now()
+
+    let googleCheck = null
+
+    const checkGoogleCredentials = () => {
+        if (!googleCheck) {
+            googleCheck = googleAuth.getCredentials().then(() => null, error => {
+                googleCheck = null
+                return `Google credentials are not available: ${error.message}`
+            })
+        }
+
+        return googleCheck
+    }
+
+    const checkCredentials = name => name === 'google' ? checkGoogleCredentials() : CREDENTIAL_CHECKS[name]()
+
+    const providerNames = new Set([providers.stt.name, providers.llm.name, ...Object.keys(getTtsEngines(providers))])
+
+    if (usesDialogflow) {
+        providerNames.add('google')
+    }
+
+    router.get('/healthz', (req, res) => {
+        res.json({ status: 'ok', uptimeSeconds: Math.round((Date.now() - startedAt) / 1000) })
+    })
+
+    router.get('/readyz', async (req, res) => {
+        if (isDraining()) {
+            return res.status(503).json({ status: 'draining' })
+        }
+
+        const checks = Object.fromEntries(await Promise.all([...providerNames]
+            .filter(name => name === 'google' || CREDENTIAL_CHECKS[name])
+            .map(async name => {
+                const problem = await checkCredentials(name)
+                return [name, problem ? { ok: false, error: problem } : { ok: true }]
+            })))
+
+        const ready = Object.values(checks).every(check => check.ok)
+
+        res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks })
+    })
+
+    return router
+}
@@ -0,0 +1,44 @@
+import express from 'express'
+
+import { HttpError } from '../errors.js'
+import { logger } from '../logger.js'
+
+// Every client can read the personas; creating, changing and deleting them changes every
+// session, so those need `requireAdmin`.
+export const createPersonaRouter = (personas, { requireAdmin }) => {
+    const router = express.Router()
+
+    router.get('/', (req, res) => {
+        res.json(personas.list())
+    })
+
+    router.get('/:id', (req, res) => {
+        const persona = personas.get(req.params.id)
+
+        if (!persona) {
+            throw new HttpError(404, `Persona "${req.params.id}" not found.`)
+        }
+
+        res.json(persona)
+    })
+
+    router.post('/', requireAdmin, async (req, res) => {
+        const persona = await personas.create(req.body || {})
+        logger.info('Persona created.', { persona: persona.id })
+        res.status(201).json(persona)
+    })
+
+    router.patch('/:id', requireAdmin, async (req, res) => {
+        const persona = await personas.update(req.params.id, req.body || {})
+        logger.info('Persona updated.', { persona: persona.id })
+        res.json(persona)
+    })
+
+    router.delete('/:id', requireAdmin, async (req, res) => {
+        await personas.remove(req.params.id)
+        logger.info('Persona deleted.', { persona: req.params.id })
+        res.status(204).end()
+    })
+
+    return router
+}
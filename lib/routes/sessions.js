@@ -0,0 +1,46 @@
+import express from 'express'
+
+import { HttpError } from '../errors.js'
+import { buildCues, toSrt, toWebVtt } from '../subtitles.js'
+
+// Clients only see the sessions they started; admins see every session.
+export const createSessionRouter = sessionLogs => {
+    const router = express.Router()
+
+    const getOwner = req => ({ clientId: req.authClient.admin ? null : req.authClient.clientId })
+
+    router.get('/', async (req, res) => {
+        const limit = Number(req.query.limit) || 100
+        const sessions = await sessionLogs.list(getOwner(req))
+        res.json(sessions.slice(0, limit))
+    })
+
+    router.get('/:id', async (req, res) => {
+        res.json({ sessionId: req.params.id, events: await sessionLogs.read(req.params.id, getOwner(req)) })
+    })
+
+    router.get('/:id/export', async (req, res) => {
+        const format = req.query.format || 'json'
+
+        if (!['json', 'srt', 'vtt'].includes(format)) {
+            throw new HttpError(400, 'format must be one of json, srt, vtt.')
+        }
+
+        const events = await sessionLogs.read(req.params.id, getOwner(req))
+        res.attachment(`session-${req.params.id}.${format}`)
+
+        switch (format) {
+            case 'json':
+                res.json({ sessionId: req.params.id, events })
+                break
+            case 'srt':
+                res.type('application/x-subrip').send(toSrt(buildCues(events)))
+                break
+            case 'vtt':
+                res.type('text/vtt').send(toWebVtt(buildCues(events)))
+                break
+        }
+    })
+
+    return router
+}
@@ -0,0 +1,57 @@
+import express from 'express'
+
+import { HttpError } from '../errors.js'
+import { getEnvNumber } from '../env.js'
+import { logger } from '../logger.js'
+
+// Voice lists rarely change and Azure's is large, so they are cached per engine and language.
+const getCacheTtlMs = () => getEnvNumber('VOICES_CACHE_TTL_MS', 10 * 60000)
+
+// GET /api/voices?engine=&languageCode=th-TH lists the voices of every available TTS engine (or
+// just `engine`). An engine that fails to answer is reported with an `error` instead of failing
+// the whole request.
+export const createVoiceRouter = ttsEngines => {
+    const router = express.Router()
+    const cache = new Map()
+
+    const listVoices = async (engine, languageCode) => {
+        const key = `${engine.name}:${languageCode || ''}`
+        const cached = cache.get(key)
+
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.voices
+        }
+
+        const voices = await engine.listVoices({ languageCode })
+        cache.set(key, { voices, expiresAt: Date.now() + getCacheTtlMs() })
+
+        return voices
+    }
+
+    router.get('/', async (req, res) => {
+        const { engine: engineName, languageCode } = req.query
+
+        if (engineName && !ttsEngines[engineName]) {
+            throw new HttpError(404, `TTS engine "${engineName}" is not available.`)
+        }
+
+        const engines = await Promise.all((engineName ? [engineName] : Object.keys(ttsEngines)).map(async name => {
+            const engine = ttsEngines[name]
+
+            if (!engine.listVoices) {
+                return { engine: name, voices: [] }
+            }
+
+            try {
+                return { engine: name, voices: await listVoices(engine, languageCode) }
+            } catch (error) {
+                logger.error('Failed to list voices.', { tts: name, error })
+                return { engine: name, error: error.message, voices: [] }
+            }
+        }))
+
+        res.json({ engines })
+    })
+
+    return router
+}
@@ -0,0 +1,44 @@
+// Thai is written without spaces between words; a space usually marks the end of a sentence
+// or clause. We therefore split on sentence punctuation, line breaks, and spaces between two
+// Thai characters. A space next to a digit or Latin word ("ราคา 500 บาท") is not a boundary.
+const BOUNDARY = /[.!?。…]+(?=\s)|\n+|(?<=[\u0E00-\u0E7F])\s+(?=[\u0E00-\u0E7F])/g
+
+// Incrementally splits streamed LLM text into sentences for TTS. Pieces shorter than
+// minLength are merged with the next one, so we don't synthesise one-word fragments.
+export const createSentenceSplitter = ({ minLength = 12 } = {}) => {
+    let buffer = ''
+
+    const push = text => {
+        buffer += text
+
+        const sentences = []
+        let start = 0
+
+        for (const match of buffer.matchAll(BOUNDARY)) {
+            const end = match.index + match[0].length
+
+            // A trailing space may just be the end of this chunk, not a boundary; wait for more text.
+            if (end === buffer.length) {
+                break
+            }
+
+            const sentence = buffer.slice(start, end).trim()
+
+            if (sentence.length >= minLength) {
+                sentences.push(sentence)
+                start = end
+            }
+        }
+
+        buffer = buffer.slice(start)
+        return sentences
+    }
+
+    const flush = () => {
+        const rest = buffer.trim()
+        buffer = ''
+        return rest ? [rest] : []
+    }
+
+    return { push, flush }
+}
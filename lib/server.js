@@ -0,0 +1,182 @@
+import http from 'http'
+import express from 'express'
+import cors from 'cors'
+
+import { WebSocketServer } from 'ws'
+
+import { handleHttpErrors } from './errors.js'
+import { getEnvNumber } from './env.js'
+import { createAuth } from './auth.js'
+import { createUsageTracker } from './usage.js'
+import { createPersonaStore } from './personas.js'
+import { createPersonaRouter } from './routes/personas.js'
+import { createSessionLogStore } from './session-log.js'
+import { createSessionRouter } from './routes/sessions.js'
+import { createChatRouter } from './routes/chat.js'
+import { createVoiceRouter } from './routes/voices.js'
+import { createAdminRouter } from './routes/admin.js'
+import { createHealthRouter } from './routes/health.js'
+import { logger } from './logger.js'
+import { METRICS_CONTENT_TYPE, createMetrics } from './metrics.js'
+import { withProviderMetrics } from './providers/metrics.js'
+import { getTtsEngines } from './providers/tts/engines.js'
+import { createConfiguredToolRegistry } from './tools/index.js'
+import { handleVoiceConnection } from './voice-session.js'
+import { TWILIO_MEDIA_STREAM_PATH, createTwilioVerifyClient, getTwilioConfig, handleTwilioMediaStream } from './twilio-media-stream.js'
+
+// SHUTDOWN_GRACE_MS is how long sessions get to finish their current answer on shutdown.
+const getShutdownGraceMs = () => getEnvNumber('SHUTDOWN_GRACE_MS', 30000)
+
+// Express app plus the voice WebSocket, shared by the index*.js entrypoints. Entrypoints add
+// their own routes through `configureApp(app, { auth })` and start listening on the returned
+// `server`.
+// `configureWebhooks` routes are mounted before the JSON body parser and API auth, for
+// callers that sign their requests instead of using our API keys.
+// SESSION_LOGS=false turns off transcript persistence. Everything under /api and the
+// WebSocket upgrades go through `auth`; usage limits are tracked per authenticated client.
+// Clients only read their own session logs, and changing personas is left to admins.
+// Twilio Media Streams connect to TWILIO_MEDIA_STREAM_PATH and are verified with `twilio`'s auth
+// token instead (see twilio-media-stream.js); every other upgrade is a voice client.
+// /healthz, /readyz and the Prometheus /metrics are served without auth.
+// `shutdown` drains the server: no new connections, /readyz reports 503, voice sessions close
+// after their current answer, and whatever is still open after `graceMs` is closed.
+export const createVoiceServer = ({
+    providers: baseProviders,
+    auth = createAuth(),
+    twilio = getTwilioConfig(),
+    usage = createUsageTracker(),
+    personas = createPersonaStore(),
+    sessionLogs = process.env.SESSION_LOGS === 'false' ? null : createSessionLogStore(),
+    createNluSession = null,
+    tools = createConfiguredToolRegistry(),
+    metrics = createMetrics(),
+    configureWebhooks = () => {},
+    configureApp = () => {},
+}) => {
+    const providers = withProviderMetrics(baseProviders, metrics)
+
+    if (providers.ttsCache) {
+        metrics.observeTtsCache(providers.ttsCache)
+    }
+
+    if (providers.llm.circuitBreaker) {
+        metrics.observeCircuitBreaker('llm', providers.llm.name, providers.llm.circuitBreaker)
+    }
+
+    for (const engine of Object.values(getTtsEngines(providers))) {
+        if (engine.circuitBreaker) {
+            metrics.observeCircuitBreaker('tts', engine.name, engine.circuitBreaker)
+        }
+    }
+
+    let draining = false
+    let shutdownPromise = null
+
+    const app = express()
+    // Dialogflow is the only NLU backend and uses the Google credentials.
+    app.use(createHealthRouter({ providers, usesDialogflow: Boolean(createNluSession), isDraining: () => draining }))
+    app.get('/metrics', (req, res) => {
+        res.type(METRICS_CONTENT_TYPE).send(metrics.render())
+    })
+    app.use(cors(auth.corsOptions))
+    configureWebhooks(app)
+    app.use(express.json({ limit: '50mb' }))
+    app.use('/api', auth.requireAuth)
+
+    app.use('/api/personas', createPersonaRouter(personas, { requireAdmin: auth.requireAdmin }))
+    app.use('/api/voices', createVoiceRouter(getTtsEngines(providers)))
+    app.use('/api/chat', createChatRouter({ providers, personas, usage, createNluSession, tools }))
+    app.use('/api/admin', auth.requireAdmin, createAdminRouter({ providers, personas }))
+
+    if (sessionLogs) {
+        app.use('/api/sessions', createSessionRouter(sessionLogs))
+    }
+
+    configureApp(app, { auth })
+    app.use(handleHttpErrors)
+
+    const server = http.createServer(app)
+    const wss = new WebSocketServer({ noServer: true, verifyClient: auth.verifyWebSocketClient })
+    const mediaStreamWss = new WebSocketServer({ noServer: true, verifyClient: createTwilioVerifyClient({ auth, ...twilio }) })
+
+    server.on('upgrade', (request, socket, head) => {
+        // Kept-alive connections can still ask for an upgrade after shutdown started.
+        if (draining) {
+            socket.end('HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n')
+            return
+        }
+
+        const { pathname } = new URL(request.url, 'http://localhost')
+        const target = pathname === TWILIO_MEDIA_STREAM_PATH ? mediaStreamWss : wss
+
+        target.handleUpgrade(request, socket, head, ws => target.emit('connection', ws, request))
+    })
+
+    const getSessionOptions = request => ({
+        providers,
+        metrics,
+        personas,
+        sessionLogs,
+        quota: usage.forClient(request.authClient),
+        createNluSession,
+        tools,
+        // Legacy clients can't send `start`, so they pick a persona with ?persona=<id>.
+        personaId: new URL(request.url, 'http://localhost').searchParams.get('persona'),
+    })
+
+    wss.on('connection', (ws, request) => handleVoiceConnection(ws, getSessionOptions(request)))
+    mediaStreamWss.on('connection', (ws, request) => handleTwilioMediaStream(ws, getSessionOptions(request)))
+
+    const getClients = () => [...wss.clients, ...mediaStreamWss.clients]
+
+    // Resolves once every connection has ended.
+    const shutdown = ({ graceMs = getShutdownGraceMs() } = {}) => {
+        if (shutdownPromise) {
+            return shutdownPromise
+        }
+
+        draining = true
+        logger.info('Shutting down. Draining sessions.', { sessions: getClients().length, graceMs })
+
+        shutdownPromise = new Promise(resolve => {
+            const graceTimer = setTimeout(() => {
+                logger.warn('Grace period over. Closing the remaining sessions.', { sessions: getClients().length })
+                getClients().forEach(ws => ws.close(1001, 'Server shutting down'))
+                server.closeAllConnections()
+            }, graceMs)
+
+            server.close(() => {
+                clearTimeout(graceTimer)
+                logger.info('Server stopped.')
+                resolve()
+            })
+            server.closeIdleConnections()
+            getClients().forEach(ws => ws.emit('server_draining'))
+        })
+
+        return shutdownPromise
+    }
+
+    logger.info('WebSocket server initialized.')
+
+    return { app, server, wss, mediaStreamWss, metrics, shutdown }
+}
+
+// For the entrypoints: the first SIGTERM or SIGINT drains the server, a second one exits at once.
+export const exitOnShutdownSignals = shutdown => {
+    let shutdownRequested = false
+
+    const onSignal = signal => {
+        if (shutdownRequested) {
+            logger.warn('Shutdown signal received again. Exiting now.', { signal })
+            process.exit(1)
+        }
+
+        shutdownRequested = true
+        logger.info('Shutdown signal received.', { signal })
+        shutdown().then(() => process.exit(0))
+    }
+
+    process.on('SIGTERM', onSignal)
+    process.on('SIGINT', onSignal)
+}
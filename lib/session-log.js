@@ -0,0 +1,151 @@
+import fs from 'fs'
+import path from 'path'
+import readline from 'readline'
+
+import { HttpError } from './errors.js'
+import { logger } from './logger.js'
+
+const SESSION_ID_PATTERN = /^[0-9a-f-]{36}$/
+
+// Files read at once when listing sessions, to stay well clear of the open file limit.
+const LIST_CONCURRENCY = 16
+
+// A session that ended with the process can leave a partial last line; such lines are skipped.
+const parseLine = line => {
+    try {
+        return JSON.parse(line)
+    } catch (error) {
+        return null
+    }
+}
+
+// Used when session logging is disabled.
+export const noopRecorder = {
+    record: () => {},
+    recordEvent: () => {},
+    close: () => {},
+}
+
+// Session timelines stored as one JSONL file per WebSocket session in SESSIONS_DIR
+// (default data/sessions). Every line is `{ at, type, ...fields }`; the first one,
+// `session_started`, carries the `clientId` the session belongs to.
+export const createSessionLogStore = ({ dir = process.env.SESSIONS_DIR || 'data/sessions' } = {}) => {
+    fs.mkdirSync(dir, { recursive: true })
+
+    const getFile = sessionId => {
+        if (!SESSION_ID_PATTERN.test(sessionId)) {
+            throw new HttpError(400, 'Invalid session id.')
+        }
+
+        return path.join(dir, `${sessionId}.jsonl`)
+    }
+
+    const open = (sessionId, details = {}) => {
+        const stream = fs.createWriteStream(getFile(sessionId), { flags: 'a' })
+
+        stream.on('error', error => {
+            logger.error('Failed to write session log.', { sessionId, error })
+        })
+
+        const record = (type, fields = {}) => {
+            if (!stream.writableEnded) {
+                stream.write(`${JSON.stringify({ at: new Date().toISOString(), type, ...fields })}\n`)
+            }
+        }
+
+        // Server events are stored as they were sent, minus the audio payload itself.
+        const recordEvent = ({ type, data, ...fields }) => {
+            if (type === 'audio') {
+                record('audio', { ...fields, bytes: data ? Buffer.byteLength(data, 'base64') : undefined })
+            } else if (type !== 'pong') {
+                record(type, fields)
+            }
+        }
+
+        const close = () => {
+            record('session_ended')
+            stream.end()
+        }
+
+        record('session_started', { sessionId, ...details })
+
+        return { record, recordEvent, close }
+    }
+
+    // Summaries and ownership checks only read the first line of each file, so they stay cheap
+    // for long sessions.
+    const readStart = async file => {
+        const input = fs.createReadStream(file)
+        const lines = readline.createInterface({ input, crlfDelay: Infinity })
+
+        try {
+            for await (const line of lines) {
+                return parseLine(line) || {}
+            }
+
+            return {}
+        } finally {
+            lines.close()
+            input.destroy()
+        }
+    }
+
+    // With a `clientId`, only sessions that client started are found; admins read with null.
+    const read = async (sessionId, { clientId = null } = {}) => {
+        const file = getFile(sessionId)
+
+        if (!fs.existsSync(file) || (clientId !== null && (await readStart(file)).clientId !== clientId)) {
+            throw new HttpError(404, `Session "${sessionId}" not found.`)
+        }
+
+        const events = []
+        let skipped = 0
+        const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity })
+
+        for await (const line of lines) {
+            const event = line.trim() ? parseLine(line) : null
+
+            if (event) {
+                events.push(event)
+            } else if (line.trim()) {
+                skipped++
+            }
+        }
+
+        if (skipped > 0) {
+            logger.warn('Skipped unparsable lines in a session log.', { sessionId, skipped })
+        }
+
+        return events
+    }
+
+    const list = async ({ clientId = null } = {}) => {
+        const files = (await fs.promises.readdir(dir)).filter(file => file.endsWith('.jsonl'))
+
+        const summarise = async file => {
+            const fullPath = path.join(dir, file)
+            const [started, stats] = await Promise.all([readStart(fullPath), fs.promises.stat(fullPath)])
+
+            return {
+                sessionId: path.basename(file, '.jsonl'),
+                clientId: started.clientId || null,
+                startedAt: started.at || null,
+                updatedAt: stats.mtime.toISOString(),
+                persona: started.persona || null,
+                bytes: stats.size,
+            }
+        }
+
+        const sessions = []
+
+        for (let index = 0; index < files.length; index += LIST_CONCURRENCY) {
+            sessions.push(...await Promise.all(files.slice(index, index + LIST_CONCURRENCY).map(summarise)))
+        }
+
+        return sessions
+            .filter(session => clientId === null || session.clientId === clientId)
+            .sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''))
+    }
+
+    return { open, read, list }
+}
@@ -0,0 +1,141 @@
+import WebSocket from 'ws'
+
+import { PROTOCOL_VERSION, decodeAudioFrame } from './protocol.js'
+import { resamplePcm16 } from './mulaw.js'
+import { readWav } from './wav.js'
+
+const FRAME_MS = 20
+
+// An answer has ended with its end-of-response marker, or arrived as one audio message (legacy
+// clients and STREAM_RESPONSES=false). Legacy messages have no `type` (see toLegacyMessage).
+const isAnswerEnd = event => event.type === 'audio'
+    ? Boolean(event.end) || (!event.binary && event.seq === undefined)
+    : Boolean(event.aiAudioBase64)
+
+// The conversation is over once every expected answer has ended or the server reported a
+// failure it won't recover from.
+const isConversationOver = answers => events => events.filter(isAnswerEnd).length >= answers ||
+    events.some(event => (event.type === 'error' && !event.recoverable) || (!event.type && event.error))
+
+const describeEvent = event => {
+    if (!event.type) {
+        return Object.keys(event).join('+')
+    }
+
+    return event.type === 'state' ? `state:${event.state}` : event.type
+}
+
+// Plays a WAV recording (16-bit mono PCM, see wav.js) into the voice WebSocket like a client
+// would and resolves with every event the server sent back, in order. Binary audio frames are
+// listed as `{ type: 'audio', binary: true, responseId, seq, bytes }`.
+//
+// `config` is the `start` configuration; null skips `start` and talks the legacy protocol.
+// Audio is sent in 20 ms frames at `speed` times real time (Infinity sends it as fast as the
+// socket takes it; the server's VAD measures audio, not wall-clock time). `answers` is how
+// many answers to wait for after the audio; `isDone(events)` replaces that check.
+export const simulateConversation = async ({
+    url,
+    wav,
+    config = {},
+    speed = 1,
+    answers = 1,
+    isDone = isConversationOver(answers),
+    timeoutMs = 30000,
+}) => {
+    const { pcm: recording, sampleRate } = readWav(wav)
+    const sampleRateHertz = (config && config.sampleRateHertz) || 16000
+    const pcm = resamplePcm16(recording, sampleRate, sampleRateHertz)
+    const frameBytes = sampleRateHertz * FRAME_MS / 1000 * 2
+
+    const ws = new WebSocket(url)
+    const events = []
+    let onEvent = () => {}
+
+    // Connection failures also close the socket, which is what the waits below watch for.
+    ws.on('error', () => {})
+
+    ws.on('message', (data, isBinary) => {
+        if (isBinary) {
+            const { responseId, seq, audio } = decodeAudioFrame(data)
+            events.push({ type: 'audio', binary: true, responseId, seq, bytes: audio.length })
+        } else {
+            events.push(JSON.parse(data.toString()))
+        }
+
+        onEvent()
+    })
+
+    const waitFor = (check, description) => new Promise((resolve, reject) => {
+        if (ws.readyState === WebSocket.CLOSED && !check(events)) {
+            return reject(new Error(`The server closed the connection before ${description}.`))
+        }
+
+        const timer = setTimeout(() => {
+            onEvent = () => {}
+            reject(new Error(`Timed out after ${timeoutMs} ms waiting for ${description}. Received: ${events.map(describeEvent).join(', ') || 'nothing'}.`))
+        }, timeoutMs)
+
+        onEvent = () => {
+            if (check(events)) {
+                clearTimeout(timer)
+                onEvent = () => {}
+                resolve()
+            }
+        }
+
+        ws.once('close', (code, reason) => {
+            clearTimeout(timer)
+            reject(new Error(`The server closed the connection (${code} ${reason}) while waiting for ${description}.`))
+        })
+
+        onEvent()
+    })
+
+    try {
+        await new Promise((resolve, reject) => {
+            ws.once('open', resolve)
+            ws.once('error', reject)
+        })
+
+        if (config) {
+            ws.send(JSON.stringify({ v: PROTOCOL_VERSION, type: 'start', config: { encoding: 'LINEAR16', sampleRateHertz, ...config } }))
+            await waitFor(received => received.some(event => event.type === 'state' && event.sessionId), 'the session to start')
+        }
+
+        for (let offset = 0; offset < pcm.length; offset += frameBytes) {
+            ws.send(pcm.subarray(offset, offset + frameBytes))
+
+            await new Promise(resolve => Number.isFinite(speed) ? setTimeout(resolve, FRAME_MS / speed) : setImmediate(resolve))
+        }
+
+        await waitFor(isDone, `${answers} answer(s)`)
+    } finally {
+        ws.removeAllListeners('close')
+        ws.close()
+    }
+
+    return events
+}
+
+const matchesEvent = (event, expected) => typeof expected === 'string'
+    ? describeEvent(event) === expected || event.type === expected
+    : Object.entries(expected).every(([field, value]) => event[field] === value)
+
+// Throws unless `expected` appears in `events` in this order; other events may come in between.
+// An expectation is an event type, 'state:<state>' or an object of fields the event must have.
+export const checkEventSequence = (events, expected) => {
+    let index = 0
+
+    for (const [position, expectation] of expected.entries()) {
+        while (index < events.length && !matchesEvent(events[index], expectation)) {
+            index++
+        }
+
+        if (index === events.length) {
+            const previous = position > 0 ? ` after ${JSON.stringify(expected[position - 1])}` : ''
+            throw new Error(`Expected ${JSON.stringify(expectation)}${previous}. Received: ${events.map(describeEvent).join(', ')}.`)
+        }
+
+        index++
+    }
+}
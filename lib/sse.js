@@ -0,0 +1,33 @@
+// Yields the `data:` payload of each server-sent event in a streamed fetch response body.
+export const readServerSentEvents = async function* (body) {
+    const decoder = new TextDecoder()
+    let buffer = ''
+
+    const parseEvent = rawEvent => rawEvent
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n')
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true })
+
+        const rawEvents = buffer.split(/\r?\n\r?\n/)
+        buffer = rawEvents.pop()
+
+        for (const rawEvent of rawEvents) {
+            const data = parseEvent(rawEvent)
+
+            if (data) {
+                yield data
+            }
+        }
+    }
+
+    buffer += decoder.decode()
+    const data = parseEvent(buffer)
+
+    if (data) {
+        yield data
+    }
+}
@@ -0,0 +1,85 @@
+// Turns a session timeline (see session-log.js) into subtitle cues: one cue per final user
+// transcript, from its first interim result to the final one, and one cue per answer by
+// responseId, from its first text to whatever ended it: the end-of-response marker, an
+// interruption, an error or the session listening again. Answers that were never spoken, such
+// as text-only ones or those interrupted early, keep the text that was sent.
+export const buildCues = events => {
+    if (events.length === 0) {
+        return []
+    }
+
+    const sessionStart = Date.parse(events[0].at)
+    const offset = event => Date.parse(event.at) - sessionStart
+
+    const cues = []
+    const answers = new Map()
+    let utteranceStart = null
+
+    const endAnswer = (responseId, event) => {
+        const answer = answers.get(responseId)
+        answers.delete(responseId)
+
+        const text = answer && (answer.text || answer.sentences.join(' '))
+
+        if (text) {
+            cues.push({ start: answer.start, end: Math.max(offset(event), answer.start + 500), speaker: 'ผู้ช่วย', text })
+        }
+    }
+
+    for (const event of events) {
+        if (event.type === 'transcript') {
+            if (utteranceStart === null) {
+                utteranceStart = offset(event)
+            }
+
+            if (event.isFinal) {
+                cues.push({ start: utteranceStart, end: Math.max(offset(event), utteranceStart + 500), speaker: 'ผู้ใช้', text: event.text })
+                utteranceStart = null
+            }
+        } else if (event.type === 'response_text') {
+            if (!answers.has(event.responseId)) {
+                answers.set(event.responseId, { start: offset(event), sentences: [], text: null })
+            }
+
+            const answer = answers.get(event.responseId)
+
+            if (event.final) {
+                answer.text = event.text
+            } else {
+                answer.sentences.push(event.text)
+            }
+        } else if ((event.type === 'audio' && event.end) || (event.type === 'state' && event.state === 'interrupted') ||
+            (event.type === 'error' && event.responseId)) {
+            endAnswer(event.responseId, event)
+        } else if (event.type === 'state' && event.state === 'listening') {
+            for (const responseId of [...answers.keys()]) {
+                endAnswer(responseId, event)
+            }
+        }
+    }
+
+    // The log of a session that ended mid-answer stops without an end marker.
+    for (const responseId of [...answers.keys()]) {
+        endAnswer(responseId, events[events.length - 1])
+    }
+
+    return cues.sort((a, b) => a.start - b.start)
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0')
+
+const formatTimestamp = (ms, separator) => {
+    const hours = Math.floor(ms / 3600000)
+    const minutes = Math.floor(ms / 60000) % 60
+    const seconds = Math.floor(ms / 1000) % 60
+
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`
+}
+
+export const toSrt = cues => cues
+    .map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.speaker}: ${cue.text}\n`)
+    .join('\n')
+
+export const toWebVtt = cues => `WEBVTT\n\n${cues
+    .map(cue => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n<v ${cue.speaker}>${cue.text}\n`)
+    .join('\n')}`
@@ -0,0 +1,112 @@
+import { createStoreTools } from './store.js'
+import { logger } from '../logger.js'
+
+// Server-side tools the LLM can call. A tool is a plain object:
+//   { name, description, parameters, handler(args, { signal }) -> Promise<any> }
+// `parameters` is the JSON schema of the arguments object, sent to the model as-is.
+const builtInTools = {
+    store: createStoreTools,
+}
+
+const NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_-]{0,63}$/
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number',
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    array: value => Array.isArray(value),
+    object: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value),
+}
+
+// Only what models actually get wrong: missing required arguments and mistyped top-level ones.
+const checkArguments = (schema = {}, args) => {
+    const properties = schema.properties || {}
+
+    for (const name of schema.required || []) {
+        if (args[name] === undefined) {
+            return `Missing required argument "${name}".`
+        }
+    }
+
+    for (const [name, value] of Object.entries(args)) {
+        const property = properties[name]
+
+        if (property && TYPE_CHECKS[property.type] && !TYPE_CHECKS[property.type](value)) {
+            return `Argument "${name}" must be of type ${property.type}.`
+        }
+
+        if (property && property.enum && !property.enum.includes(value)) {
+            return `Argument "${name}" must be one of ${property.enum.join(', ')}.`
+        }
+    }
+
+    return null
+}
+
+// Tool failures are returned to the model as `{ error }` so it can tell the user instead of the
+// whole answer failing.
+export const createToolRegistry = (tools = []) => {
+    const byName = new Map()
+
+    for (const tool of tools) {
+        if (!NAME_PATTERN.test(tool.name || '') || typeof tool.handler !== 'function') {
+            throw new Error(`Tool "${tool.name}" needs a valid name and a handler function.`)
+        }
+
+        if (byName.has(tool.name)) {
+            throw new Error(`Tool "${tool.name}" is registered twice.`)
+        }
+
+        byName.set(tool.name, tool)
+    }
+
+    const declarations = tools.map(({ name, description, parameters }) => ({ name, description, parameters }))
+
+    const call = async (name, args = {}, context = {}) => {
+        const tool = byName.get(name)
+
+        if (!tool) {
+            return { error: `Unknown tool "${name}".` }
+        }
+
+        const problem = checkArguments(tool.parameters, args)
+
+        if (problem) {
+            logger.warn('Rejected tool call.', { tool: name, problem })
+            return { error: problem }
+        }
+
+        logger.info('Calling tool.', { tool: name, args })
+
+        try {
+            return { result: await tool.handler(args, context) }
+        } catch (error) {
+            if (context.signal && context.signal.aborted) {
+                throw error
+            }
+
+            logger.error('Tool failed.', { tool: name, error })
+            return { error: error.message }
+        }
+    }
+
+    return { size: byName.size, declarations, call }
+}
+
+// TOOLS is a comma-separated list of built-in tool sets to enable, e.g. `TOOLS=store`.
+export const createConfiguredToolRegistry = (names = (process.env.TOOLS || '').split(',').map(name => name.trim()).filter(Boolean)) => {
+    const tools = names.flatMap(name => {
+        if (!builtInTools[name]) {
+            throw new Error(`Unknown tool set "${name}". Available: ${Object.keys(builtInTools).join(', ')}`)
+        }
+
+        return builtInTools[name]()
+    })
+
+    if (tools.length > 0) {
+        logger.info('Tools enabled.', { tools: tools.map(tool => tool.name) })
+    }
+
+    return createToolRegistry(tools)
+}
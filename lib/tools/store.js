@@ -0,0 +1,76 @@
+import fs from 'fs'
+import fetch from 'node-fetch'
+
+const SAMPLE_DATA_FILE = new URL('./store-data.json', import.meta.url)
+
+// Order and branch data comes from STORE_API_URL when set (GET /orders/:id, GET /stores),
+// otherwise from STORE_DATA_FILE or the bundled sample data. The file is re-read on every call
+// so it can be edited while the server runs.
+const createStoreData = ({ apiUrl = process.env.STORE_API_URL, file = process.env.STORE_DATA_FILE || SAMPLE_DATA_FILE } = {}) => {
+    const getJson = async (path, signal) => {
+        const response = await fetch(`${apiUrl.replace(/\/$/, '')}${path}`, { signal })
+
+        if (response.status === 404) {
+            return null
+        }
+
+        if (!response.ok) {
+            throw new Error(`Store API error: ${response.status}`)
+        }
+
+        return response.json()
+    }
+
+    const readFile = () => JSON.parse(fs.readFileSync(file, 'utf8'))
+
+    return {
+        getOrder: async (orderId, signal) => apiUrl
+            ? getJson(`/orders/${encodeURIComponent(orderId)}`, signal)
+            : readFile().orders[orderId] || null,
+        getStores: async signal => apiUrl ? getJson('/stores', signal) : readFile().stores,
+    }
+}
+
+export const createStoreTools = options => {
+    const data = createStoreData(options)
+
+    return [
+        {
+            name: 'get_order_status',
+            description: 'Looks up the current status of a customer order by its order number, e.g. A1001.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    orderId: { type: 'string', description: 'The order number, e.g. A1001.' },
+                },
+                required: ['orderId'],
+            },
+            handler: async ({ orderId }, { signal } = {}) => {
+                const order = await data.getOrder(orderId.trim().toUpperCase(), signal)
+
+                return order ? { orderId, ...order } : { orderId, found: false }
+            },
+        },
+        {
+            name: 'get_store_hours',
+            description: 'Returns opening hours, address and phone number of our store branches. Leave branch out to list every branch.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    branch: { type: 'string', description: 'Branch name, e.g. สยาม or เชียงใหม่.' },
+                },
+            },
+            handler: async ({ branch }, { signal } = {}) => {
+                const stores = await data.getStores(signal)
+
+                if (!branch) {
+                    return { stores }
+                }
+
+                const matches = stores.filter(store => store.branch.includes(branch.trim()) || branch.includes(store.branch))
+
+                return matches.length > 0 ? { stores: matches } : { found: false, branches: stores.map(store => store.branch) }
+            },
+        },
+    ]
+}
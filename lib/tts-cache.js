@@ -0,0 +1,227 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+
+import { DEFAULT_AUDIO_FORMAT } from './audio-formats.js'
+import { logger } from './logger.js'
+import { getEnvNumber } from './env.js'
+
+const MB = 1024 * 1024
+const HOUR = 60 * 60000
+
+// TTS_CACHE=false disables caching.
+export const getTtsCacheOptions = () => ({
+    enabled: process.env.TTS_CACHE !== 'false',
+    dir: process.env.TTS_CACHE_DIR || 'data/tts-cache',
+    maxMemoryBytes: getEnvNumber('TTS_CACHE_MEMORY_MB', 32, { min: 1 }) * MB,
+    maxDiskBytes: getEnvNumber('TTS_CACHE_DISK_MB', 512, { min: 1 }) * MB,
+    ttlMs: getEnvNumber('TTS_CACHE_TTL_HOURS', 7 * 24, { min: 1 }) * HOUR,
+})
+
+// Everything that changes the audio is part of the key, including the engine's defaults for what
+// `options` leaves out, so changing a default voice or model doesn't serve the old audio.
+export const getTtsCacheKey = (engine, text, options = {}) => {
+    const { voice, format, model, voiceSettings } = engine.resolveOptions ? engine.resolveOptions(options) : options
+
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify([engine.name, voice || null, format || DEFAULT_AUDIO_FORMAT, model || null, voiceSettings || null, text]))
+        .digest('hex')
+}
+
+const KEY_PATTERN = /^[0-9a-f]{64}$/
+
+// Synthesised audio by content key: an in-memory LRU in front of a directory with one file per
+// key. Both levels evict least recently used entries beyond their size limit, and entries
+// expire `ttlMs` after they were written. The disk index is rebuilt from the directory on start.
+export const createTtsCache = ({ dir, maxMemoryBytes, maxDiskBytes, ttlMs } = getTtsCacheOptions()) => {
+    // Map iteration order doubles as LRU order: entries are re-inserted when used.
+    const memory = new Map()
+    const disk = new Map()
+    // Disk writes still in progress, so a key isn't written twice at once.
+    const writing = new Map()
+    const stats = { memoryHits: 0, diskHits: 0, misses: 0, evictions: 0 }
+
+    let memoryBytes = 0
+    let diskBytes = 0
+
+    fs.mkdirSync(dir, { recursive: true })
+
+    const getFile = key => path.join(dir, key)
+
+    const existing = fs.readdirSync(dir)
+        .filter(file => KEY_PATTERN.test(file))
+        .map(file => ({ key: file, ...fs.statSync(getFile(file)) }))
+        .sort((a, b) => a.mtimeMs - b.mtimeMs)
+
+    for (const { key, size, mtimeMs } of existing) {
+        disk.set(key, { size, expiresAt: mtimeMs + ttlMs })
+        diskBytes += size
+    }
+
+    const touch = (map, key, entry) => {
+        map.delete(key)
+        map.set(key, entry)
+    }
+
+    const forgetInMemory = key => {
+        const entry = memory.get(key)
+
+        if (entry) {
+            memory.delete(key)
+            memoryBytes -= entry.audio.length
+        }
+    }
+
+    const removeFromDisk = key => {
+        const entry = disk.get(key)
+
+        if (entry) {
+            disk.delete(key)
+            diskBytes -= entry.size
+            fs.promises.unlink(getFile(key)).catch(() => {})
+        }
+    }
+
+    const remember = (key, audio, expiresAt) => {
+        forgetInMemory(key)
+
+        if (audio.length > maxMemoryBytes) {
+            return
+        }
+
+        memory.set(key, { audio, expiresAt })
+        memoryBytes += audio.length
+
+        for (const oldestKey of memory.keys()) {
+            if (memoryBytes <= maxMemoryBytes) {
+                break
+            }
+
+            forgetInMemory(oldestKey)
+            stats.evictions++
+        }
+    }
+
+    const get = async key => {
+        const cached = memory.get(key)
+
+        if (cached && cached.expiresAt > Date.now()) {
+            touch(memory, key, cached)
+            stats.memoryHits++
+            return cached.audio
+        }
+
+        forgetInMemory(key)
+
+        if (writing.has(key)) {
+            await writing.get(key).catch(() => {})
+        }
+
+        const onDisk = disk.get(key)
+
+        if (onDisk && onDisk.expiresAt > Date.now()) {
+            try {
+                const audio = await fs.promises.readFile(getFile(key))
+                touch(disk, key, onDisk)
+                remember(key, audio, onDisk.expiresAt)
+                stats.diskHits++
+                return audio
+            } catch (error) {
+                logger.error('Failed to read cached audio.', { key, error })
+            }
+        }
+
+        removeFromDisk(key)
+        stats.misses++
+
+        return null
+    }
+
+    const has = key => {
+        const entry = memory.get(key) || disk.get(key)
+        return writing.has(key) || Boolean(entry && entry.expiresAt > Date.now())
+    }
+
+    const write = async (key, audio, expiresAt) => {
+        // Write to a temporary file first so a crash never leaves truncated audio behind.
+        const tempFile = `${getFile(key)}.tmp`
+        await fs.promises.writeFile(tempFile, audio)
+        await fs.promises.rename(tempFile, getFile(key))
+
+        const previous = disk.get(key)
+        diskBytes += audio.length - (previous ? previous.size : 0)
+        touch(disk, key, { size: audio.length, expiresAt })
+
+        for (const oldestKey of disk.keys()) {
+            if (diskBytes <= maxDiskBytes) {
+                break
+            }
+
+            removeFromDisk(oldestKey)
+            stats.evictions++
+        }
+    }
+
+    const set = async (key, audio) => {
+        const expiresAt = Date.now() + ttlMs
+        remember(key, audio, expiresAt)
+
+        if (audio.length > maxDiskBytes || writing.has(key)) {
+            return
+        }
+
+        const written = write(key, audio, expiresAt).finally(() => writing.delete(key))
+        writing.set(key, written)
+
+        return written
+    }
+
+    const clear = async () => {
+        await Promise.allSettled(writing.values())
+
+        for (const key of [...disk.keys()]) {
+            removeFromDisk(key)
+        }
+
+        memory.clear()
+        memoryBytes = 0
+    }
+
+    const getStats = () => {
+        const hits = stats.memoryHits + stats.diskHits
+
+        return {
+            ...stats,
+            hitRatio: hits + stats.misses > 0 ? hits / (hits + stats.misses) : 0,
+            memoryEntries: memory.size,
+            memoryBytes,
+            diskEntries: disk.size,
+            diskBytes,
+        }
+    }
+
+    return { get, has, set, clear, getStats }
+}
+
+// Wraps a TTS engine so repeated phrases are served from `cache` instead of synthesised again.
+export const withTtsCache = (engine, cache) => {
+    const synthesize = async (text, options = {}) => {
+        const key = getTtsCacheKey(engine, text, options)
+        const cached = await cache.get(key)
+
+        if (cached) {
+            return cached
+        }
+
+        const audio = await engine.synthesize(text, options)
+
+        cache.set(key, audio).catch(error => {
+            logger.error('Failed to store synthesised audio in the cache.', { error })
+        })
+
+        return audio
+    }
+
+    return { ...engine, synthesize }
+}
@@ -0,0 +1,169 @@
+import crypto from 'crypto'
+import { EventEmitter } from 'events'
+
+import { safeEqual } from './auth.js'
+import { getEnvNumber } from './env.js'
+import { decodeAudioFrame } from './protocol.js'
+import { decodeMulaw, resamplePcm16 } from './mulaw.js'
+import { handleVoiceConnection } from './voice-session.js'
+import { logger } from './logger.js'
+
+export const TWILIO_MEDIA_STREAM_PATH = '/twilio/media-stream'
+
+// TWILIO_MEDIA_STREAM_URL is the wss:// URL exactly as the TwiML <Stream url> gives it. It is
+// only needed when the URL the request arrives on differs, e.g. behind a path-rewriting proxy.
+// All calls share the `twilio` client's quota, so the phone line has usage limits of its own
+// instead of the LIMIT_* defaults meant for a single app client (0 means unlimited).
+export const getTwilioConfig = () => ({
+    authToken: process.env.TWILIO_AUTH_TOKEN || null,
+    streamUrl: process.env.TWILIO_MEDIA_STREAM_URL || null,
+    limits: {
+        concurrentSessions: getEnvNumber('TWILIO_LIMIT_CONCURRENT_CALLS', 10),
+        audioMinutesPerDay: getEnvNumber('TWILIO_LIMIT_AUDIO_MINUTES_PER_DAY', 6000),
+        llmCallsPerMinute: getEnvNumber('TWILIO_LIMIT_LLM_CALLS_PER_MINUTE', 200),
+        llmCallsPerDay: getEnvNumber('TWILIO_LIMIT_LLM_CALLS_PER_DAY', 10000),
+    },
+})
+
+// Twilio signs the WebSocket upgrade with `X-Twilio-Signature`: the base64 HMAC-SHA1 of the
+// stream URL, keyed with the account's auth token. Upgrades carry no parameters to append.
+export const getTwilioSignature = (url, authToken) => crypto.createHmac('sha1', authToken).update(url).digest('base64')
+
+// `verifyClient` hook for the media stream server. Twilio can't send API keys, headers of our
+// choosing or query strings, so calls are checked against TWILIO_AUTH_TOKEN instead of `auth`,
+// and are charged to the `twilio` client with the line's `limits`. Without a token, streams are
+// only accepted while `auth` is off too.
+export const createTwilioVerifyClient = ({ auth, authToken, streamUrl, limits = {} }) => {
+    if (!authToken && auth.enabled) {
+        logger.warn('TWILIO_AUTH_TOKEN is not set. Twilio media streams will be rejected.')
+    }
+
+    return ({ req }, callback) => {
+        if (!authToken) {
+            if (auth.enabled) {
+                logger.warn('Rejected Twilio media stream: TWILIO_AUTH_TOKEN is not set.')
+                return callback(false, 401, 'Unauthorized')
+            }
+
+            req.authClient = auth.authenticate(req)
+            return callback(true)
+        }
+
+        const url = streamUrl || `wss://${req.headers.host}${req.url}`
+        const signature = req.headers['x-twilio-signature']
+
+        if (!signature || !safeEqual(signature, getTwilioSignature(url, authToken))) {
+            logger.warn('Rejected Twilio media stream with a missing or invalid signature.', { url })
+            return callback(false, 401, 'Unauthorized')
+        }
+
+        req.authClient = { clientId: 'twilio', limits, admin: false }
+        callback(true)
+    }
+}
+
+// The pipeline runs on 16 kHz LINEAR16 whatever the phone line delivers.
+const STT_SAMPLE_RATE = 16000
+
+// Bridges a Twilio Media Streams WebSocket (https://www.twilio.com/docs/voice/media-streams)
+// onto the regular voice session. The call's mu-law audio is decoded and resampled before it
+// reaches STT, answers are synthesised as 8 kHz mu-law and sent back as `media` messages.
+// Barge-in sends `clear` so Twilio drops buffered audio, and a `mark` after each answer tells
+// the session when the caller has heard it. The persona comes from the stream's
+// `customParameters.persona` (a <Parameter name="persona"> in the TwiML).
+export const handleTwilioMediaStream = (ws, options) => {
+    // Stands in for the client WebSocket that handleVoiceConnection expects.
+    const call = new EventEmitter()
+    let streamSid = null
+    let inputSampleRate = 8000
+
+    const sendToTwilio = message => {
+        ws.send(JSON.stringify({ ...message, streamSid }))
+    }
+
+    const sendControlMessage = message => {
+        call.emit('message', Buffer.from(JSON.stringify(message)), false)
+    }
+
+    // Binary frames are answer audio; text frames are session events, of which only a few
+    // mean something on a phone line.
+    call.send = (data, { binary } = {}) => {
+        if (binary) {
+            const { audio } = decodeAudioFrame(data)
+            sendToTwilio({ event: 'media', media: { payload: audio.toString('base64') } })
+            return
+        }
+
+        const event = JSON.parse(data)
+
+        if (event.type === 'audio' && event.end) {
+            sendToTwilio({ event: 'mark', mark: { name: event.responseId } })
+        } else if (event.type === 'state' && event.state === 'interrupted') {
+            sendToTwilio({ event: 'clear' })
+        } else if (event.type === 'error') {
+            logger.error('Twilio call error.', { streamSid, code: event.code, reason: event.message })
+        } else if (event.type === 'degraded') {
+            logger.warn('Twilio call answer degraded.', { streamSid, mode: event.mode, reason: event.reason })
+        }
+    }
+
+    call.close = (code, reason) => ws.close(code, reason)
+
+    const startCall = start => {
+        streamSid = start.streamSid
+        inputSampleRate = (start.mediaFormat && start.mediaFormat.sampleRate) || inputSampleRate
+        const customParameters = start.customParameters || {}
+
+        logger.info('Twilio call started.', { callSid: start.callSid, streamSid })
+
+        handleVoiceConnection(call, { ...options, transport: 'twilio', personaId: customParameters.persona || null })
+        sendControlMessage({
+            v: 1,
+            type: 'start',
+            config: {
+                encoding: 'LINEAR16',
+                sampleRateHertz: STT_SAMPLE_RATE,
+                outputFormat: 'mulaw8k',
+                outputTransport: 'binary',
+            },
+        })
+    }
+
+    ws.on('message', raw => {
+        let message
+
+        try {
+            message = JSON.parse(raw.toString())
+        } catch (error) {
+            logger.warn('Ignoring non-JSON Twilio media stream message.')
+            return
+        }
+
+        switch (message.event) {
+            case 'connected':
+                logger.info('Twilio media stream connected.')
+                break
+            case 'start':
+                startCall({ ...message.start, streamSid: message.streamSid || message.start.streamSid })
+                break
+            case 'media':
+                // Only the caller's side; outbound tracks would echo our own answers into STT.
+                if (streamSid && (!message.media.track || message.media.track === 'inbound')) {
+                    const pcm = decodeMulaw(Buffer.from(message.media.payload, 'base64'))
+                    call.emit('message', resamplePcm16(pcm, inputSampleRate, STT_SAMPLE_RATE), true)
+                }
+                break
+            case 'mark':
+                sendControlMessage({ type: 'playback_ended', responseId: message.mark.name })
+                break
+            case 'stop':
+                logger.info('Twilio stream stopped.', { streamSid })
+                sendControlMessage({ type: 'stop' })
+                break
+        }
+    })
+
+    ws.on('server_draining', () => call.emit('server_draining'))
+    ws.on('close', () => call.emit('close'))
+    ws.on('error', error => call.emit('error', error))
+}
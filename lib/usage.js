@@ -0,0 +1,124 @@
+import { getEnvNumber } from './env.js'
+import { LimitError } from './errors.js'
+
+// A limit of 0 means unlimited. Invalid values keep the default rather than lifting the limit.
+export const getDefaultLimits = () => ({
+    concurrentSessions: getEnvNumber('LIMIT_CONCURRENT_SESSIONS', 2),
+    audioMinutesPerDay: getEnvNumber('LIMIT_AUDIO_MINUTES_PER_DAY', 60),
+    llmCallsPerMinute: getEnvNumber('LIMIT_LLM_CALLS_PER_MINUTE', 20),
+    llmCallsPerDay: getEnvNumber('LIMIT_LLM_CALLS_PER_DAY', 1000),
+})
+
+// Bytes per second of audio for each STT encoding. Compressed encodings have no fixed rate,
+// so they are counted at a nominal 32 kbit/s.
+const COMPRESSED_BYTES_PER_SECOND = 4000
+
+export const getAudioSeconds = (bytes, { encoding, sampleRateHertz }) => {
+    switch (encoding) {
+        case 'LINEAR16':
+            return bytes / (sampleRateHertz * 2)
+        case 'MULAW':
+            return bytes / sampleRateHertz
+        default:
+            return bytes / COMPRESSED_BYTES_PER_SECOND
+    }
+}
+
+const today = () => new Date().toISOString().slice(0, 10)
+
+// In-memory usage accounting per authenticated client. Counters reset at midnight UTC and
+// on restart; this is quota protection, not billing. Clients without an open session are
+// forgotten once their day is over.
+export const createUsageTracker = (defaultLimits = getDefaultLimits()) => {
+    const clients = new Map()
+    let currentDay = today()
+
+    const forgetIdleClients = () => {
+        for (const [clientId, usage] of clients) {
+            if (usage.day !== currentDay && usage.activeSessions === 0) {
+                clients.delete(clientId)
+            }
+        }
+    }
+
+    // Overrides from a JWT `limits` claim only apply where they are valid limits too.
+    const getValidLimits = limits => Object.fromEntries(Object.entries(limits)
+        .filter(([name, value]) => name in defaultLimits && Number.isFinite(value) && value >= 0))
+
+    const getUsage = clientId => {
+        if (currentDay !== today()) {
+            currentDay = today()
+            forgetIdleClients()
+        }
+
+        let usage = clients.get(clientId)
+
+        if (!usage || usage.day !== today()) {
+            usage = { day: today(), activeSessions: usage ? usage.activeSessions : 0, audioSeconds: 0, llmCallTimes: [], llmCallsToday: 0 }
+            clients.set(clientId, usage)
+        }
+
+        return usage
+    }
+
+    // Returns the quota object the voice session and REST routes charge against.
+    const forClient = ({ clientId, limits: clientLimits = {} }) => {
+        const limits = { ...defaultLimits, ...getValidLimits(clientLimits || {}) }
+
+        const acquireSession = () => {
+            const usage = getUsage(clientId)
+
+            if (limits.concurrentSessions && usage.activeSessions >= limits.concurrentSessions) {
+                throw new LimitError('concurrent_sessions', `Too many concurrent sessions (limit ${limits.concurrentSessions}).`)
+            }
+
+            usage.activeSessions++
+            let released = false
+
+            return () => {
+                if (!released) {
+                    released = true
+                    getUsage(clientId).activeSessions--
+                }
+            }
+        }
+
+        const addAudioSeconds = seconds => {
+            const usage = getUsage(clientId)
+            usage.audioSeconds += seconds
+
+            if (limits.audioMinutesPerDay && usage.audioSeconds > limits.audioMinutesPerDay * 60) {
+                throw new LimitError('audio_minutes', `Daily audio limit of ${limits.audioMinutesPerDay} minutes reached.`)
+            }
+        }
+
+        const countLlmCall = () => {
+            const usage = getUsage(clientId)
+            const now = Date.now()
+            usage.llmCallTimes = usage.llmCallTimes.filter(time => now - time < 60000)
+
+            if (limits.llmCallsPerMinute && usage.llmCallTimes.length >= limits.llmCallsPerMinute) {
+                throw new LimitError('llm_calls_per_minute', `Too many requests (limit ${limits.llmCallsPerMinute} per minute).`)
+            }
+
+            if (limits.llmCallsPerDay && usage.llmCallsToday >= limits.llmCallsPerDay) {
+                throw new LimitError('llm_calls_per_day', `Daily limit of ${limits.llmCallsPerDay} responses reached.`)
+            }
+
+            usage.llmCallTimes.push(now)
+            usage.llmCallsToday++
+        }
+
+        return { clientId, acquireSession, addAudioSeconds, countLlmCall }
+    }
+
+    return { forClient, countClients: () => clients.size }
+}
+
+// Used when usage limits don't apply.
+export const unlimitedQuota = {
+    clientId: null,
+    acquireSession: () => () => {},
+    addAudioSeconds: () => {},
+    countLlmCall: () => {},
+}
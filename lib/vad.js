@@ -0,0 +1,113 @@
+import { getEnvNumber } from './env.js'
+
+// VAD=false turns endpointing off; every final STT result is then answered on its own.
+export const getVadOptions = () => ({
+    enabled: process.env.VAD !== 'false',
+    endOfTurnSilenceMs: getEnvNumber('VAD_SILENCE_MS', 700, { min: 1 }),
+    minSpeechMs: getEnvNumber('VAD_MIN_SPEECH_MS', 100, { min: 1 }),
+    threshold: getEnvNumber('VAD_THRESHOLD', 300, { min: 1 }),
+    // Longest wait for the end of speech after a final result, in case noise keeps the VAD open.
+    maxTurnWaitMs: getEnvNumber('VAD_MAX_TURN_WAIT_MS', 3000, { min: 1 }),
+})
+
+const FRAME_MS = 20
+
+// Sound that counts as speech but stays below this multiple of `threshold` can still become
+// part of the noise floor, slowly: that's where a fan or mains hum sits, well below a voice.
+const HUM_LEVEL = 4
+
+const getRms = frame => {
+    let sum = 0
+
+    for (let offset = 0; offset < frame.length; offset += 2) {
+        const sample = frame.readInt16LE(offset)
+        sum += sample * sample
+    }
+
+    return Math.sqrt(sum / (frame.length / 2))
+}
+
+// Energy-based voice activity detection over 16-bit little-endian PCM. A 20 ms frame counts as
+// speech when its RMS is above `threshold` and well above the running noise floor, so steady
+// background noise doesn't keep a turn open. Speech starts after `minSpeechMs` of speech frames
+// and ends after `endOfTurnSilenceMs` without any. Time is measured in audio received, not
+// wall-clock time.
+export const createVoiceActivityDetector = ({
+    sampleRateHertz,
+    endOfTurnSilenceMs = 700,
+    minSpeechMs = 100,
+    threshold = 300,
+    onSpeechStarted = () => {},
+    onSpeechEnded = () => {},
+}) => {
+    const frameBytes = Math.round(sampleRateHertz * FRAME_MS / 1000) * 2
+
+    let pending = Buffer.alloc(0)
+    let noiseFloor = 0
+    let speaking = false
+    let speechMs = 0
+    let silenceMs = 0
+    let speechStartedAt = 0
+    let position = 0
+
+    const processFrame = frame => {
+        const rms = getRms(frame)
+        const isSpeech = rms > threshold && rms > noiseFloor * 3
+        position += FRAME_MS
+
+        // During speech only quiet frames raise the floor, so a steady hum that was louder than the
+        // floor from the start ends up counted as noise while long utterances aren't cut off.
+        if (isSpeech) {
+            if (rms < threshold * HUM_LEVEL) {
+                noiseFloor += (rms - noiseFloor) * 0.005
+            }
+        } else {
+            noiseFloor = noiseFloor * 0.95 + rms * 0.05
+        }
+
+        if (!speaking) {
+            speechMs = isSpeech ? speechMs + FRAME_MS : 0
+
+            if (speechMs >= minSpeechMs) {
+                speaking = true
+                silenceMs = 0
+                speechStartedAt = position - speechMs
+                onSpeechStarted()
+            }
+        } else {
+            silenceMs = isSpeech ? 0 : silenceMs + FRAME_MS
+
+            if (silenceMs >= endOfTurnSilenceMs) {
+                speaking = false
+                speechMs = 0
+                onSpeechEnded({ durationMs: position - silenceMs - speechStartedAt })
+            }
+        }
+    }
+
+    const push = chunk => {
+        pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk
+
+        let offset = 0
+
+        for (; offset + frameBytes <= pending.length; offset += frameBytes) {
+            processFrame(pending.subarray(offset, offset + frameBytes))
+        }
+
+        pending = pending.subarray(offset)
+    }
+
+    // Forgets the current utterance, e.g. when the client ends the turn explicitly.
+    const reset = () => {
+        pending = Buffer.alloc(0)
+        speaking = false
+        speechMs = 0
+        silenceMs = 0
+    }
+
+    return {
+        push,
+        reset,
+        isSpeaking: () => speaking,
+    }
+}
@@ -0,0 +1,697 @@
+import { v4 as uuidv4 } from 'uuid'
+
+import { createAssistant } from './assistant.js'
+import { createSentenceSplitter } from './sentences.js'
+import { PROTOCOL_VERSION, createEventSender, parseClientMessage } from './protocol.js'
+import { AUDIO_FORMATS, DEFAULT_AUDIO_FORMAT } from './audio-formats.js'
+import { getTtsEngines } from './providers/tts/engines.js'
+import { getEnvNumber } from './env.js'
+import { DEFAULT_PERSONA } from './personas.js'
+import { noopRecorder } from './session-log.js'
+import { getAudioSeconds, unlimitedQuota } from './usage.js'
+import { createVoiceActivityDetector, getVadOptions } from './vad.js'
+import { logger } from './logger.js'
+import { createMetrics, secondsSince } from './metrics.js'
+import { getResilienceOptions, getRetryDelayMs } from './resilience.js'
+
+// Defaults for clients that don't send a `start` message. The language comes from the persona.
+const AUDIO_CONFIG = {
+    encoding: 'LINEAR16',
+    sampleRateHertz: 16000,
+    outputFormat: DEFAULT_AUDIO_FORMAT,
+    outputTransport: 'json',
+}
+
+// Answers are streamed sentence by sentence to clients that negotiated the protocol with `start`;
+// STREAM_RESPONSES=false sends them one audio message per answer too. Legacy clients always get
+// the single `aiAudioBase64` message the original frontend plays.
+const isStreamingEnabled = () => process.env.STREAM_RESPONSES !== 'false'
+
+// Interim results shorter than this don't count as the user talking over the assistant,
+// which keeps short noises and echo from cutting answers off. BARGE_IN=false disables it.
+const getBargeInMinChars = () => process.env.BARGE_IN === 'false' ? Infinity : getEnvNumber('BARGE_IN_MIN_CHARS', 2, { min: 1 })
+
+// Runs the STT -> (NLU) -> LLM -> TTS pipeline for one WebSocket client.
+// `createNluSession` is optional; when given, its `detectIntent` gets the first shot at each
+// final transcript and the LLM only answers when it reports no match.
+// The session starts with the persona `personaId` (or the default one); a `start` message can
+// switch persona and override individual settings on top of it.
+// With `sessionLogs`, every event sent to the client is also appended to the session timeline.
+// `quota` (see usage.js) is charged for the session itself, audio received and LLM calls.
+// `metrics` (see metrics.js) gets the session count and per-turn latencies, labelled with `transport`.
+// Provider failures don't end the session: a failed STT stream is reopened with backoff and an
+// answer whose TTS fails continues as text. A `server_draining` event on `ws` (see server.js)
+// closes the session with 1001 once no answer is being generated.
+export const handleVoiceConnection = (ws, {
+    providers,
+    personas = null,
+    personaId = null,
+    sessionLogs = null,
+    quota = unlimitedQuota,
+    createNluSession = null,
+    tools = null,
+    metrics = createMetrics(),
+    transport = 'websocket',
+}) => {
+    const sessionId = uuidv4()
+    const log = logger.child({ sessionId })
+    log.info('Client connected.', { transport, clientId: quota.clientId })
+
+    const { stt, llm, tts } = providers
+    const ttsEngines = getTtsEngines(providers)
+    const { send: sendToClient, sendAudioFrame, setVersion, getVersion } = createEventSender(ws)
+
+    let releaseSession
+
+    try {
+        releaseSession = quota.acquireSession()
+    } catch (limitError) {
+        log.warn('Rejected session over a usage limit.', { clientId: quota.clientId, limit: limitError.limit, error: limitError })
+        sendToClient({ type: 'error', code: limitError.code, limit: limitError.limit, message: limitError.message })
+        ws.close(1008, limitError.limit)
+        return
+    }
+
+    metrics.activeSessions.inc({ transport })
+    const assistant = createAssistant({ llm, quota, tools, nluSession: createNluSession ? createNluSession() : null, log })
+
+    const vadOptions = getVadOptions()
+
+    let sessionConfig = { ...AUDIO_CONFIG, vad: vadOptions.enabled, endOfTurnSilenceMs: vadOptions.endOfTurnSilenceMs }
+    let recognizeStream = null
+    let audioLimitReached = false
+    // Consecutive STT failures; audio is dropped until `sttRetryAt` and then opens a new stream.
+    let sttFailures = 0
+    let sttRetryAt = 0
+    let draining = false
+
+    // Created with the first audio frame; null when endpointing is off for this session.
+    let vad
+    // Final transcripts of the current user turn, answered together once the turn ends.
+    let pendingSegments = []
+    let lastFinalAt = 0
+    let turnTimer = null
+
+    const findPersona = id => (personas && personas.get(id)) || null
+
+    const getTts = () => ttsEngines[sessionConfig.ttsEngine] || tts
+
+    // A persona whose TTS engine isn't available here speaks with the default engine and voice.
+    const getPersonaTtsEngine = persona => {
+        if (persona.ttsEngine && !ttsEngines[persona.ttsEngine]) {
+            log.warn('TTS engine of the persona is not available. Using the default engine.', { persona: persona.id, ttsEngine: persona.ttsEngine, fallback: tts.name })
+            return null
+        }
+
+        return persona.ttsEngine || tts.name
+    }
+
+    const applyPersona = selected => {
+        const ttsEngine = getPersonaTtsEngine(selected)
+
+        assistant.setPersona(selected)
+        sessionConfig = {
+            ...sessionConfig,
+            languageCode: selected.languageCode,
+            ttsEngine: ttsEngine || tts.name,
+            voice: (ttsEngine && selected.voice) || undefined,
+        }
+    }
+
+    if (personaId && !findPersona(personaId)) {
+        log.warn('Unknown persona requested. Using the default persona.', { persona: personaId })
+    }
+
+    applyPersona(findPersona(personaId) || findPersona(DEFAULT_PERSONA.id) || DEFAULT_PERSONA)
+
+    const recorder = sessionLogs
+        ? sessionLogs.open(sessionId, { clientId: quota.clientId, persona: assistant.getPersona().id, providers: { stt: stt.name, llm: llm.name, tts: getTts().name } })
+        : noopRecorder
+
+    const send = event => {
+        recorder.recordEvent(event)
+        sendToClient(event)
+    }
+
+    // Records how long synthesis took, without affecting how the caller handles failures.
+    const synthesize = (text, { responseId, seq, signal }) => {
+        const startedAt = Date.now()
+        const engine = getTts()
+        const audio = engine.synthesize(text, {
+            voice: sessionConfig.voice,
+            format: sessionConfig.outputFormat,
+            model: sessionConfig.ttsModel,
+            voiceSettings: sessionConfig.voiceSettings,
+            signal,
+        })
+
+        audio.then(audioBuffer => {
+            recorder.record('tts', { responseId, seq, provider: engine.name, format: sessionConfig.outputFormat, synthesisMs: Date.now() - startedAt, bytes: audioBuffer.length })
+        }, () => {})
+
+        return audio
+    }
+
+    // One chunk of answer audio, as a binary frame or a base64 `audio` event depending on the
+    // negotiated transport. Binary frames bypass the event sender, so they are recorded here.
+    const sendAudio = ({ responseId, seq, text }, audioBuffer) => {
+        if (sessionConfig.outputTransport === 'binary') {
+            recorder.record('audio', { responseId, seq, text, format: sessionConfig.outputFormat, bytes: audioBuffer.length, transport: 'binary' })
+            sendAudioFrame({ responseId, seq: seq || 0, audio: audioBuffer })
+        } else {
+            send({ type: 'audio', responseId, seq, text, format: sessionConfig.outputFormat, data: audioBuffer.toString('base64') })
+        }
+    }
+
+    // The answer currently being generated or played back by the client. It stays active after
+    // generation finishes until the client reports `playback_ended` or the next answer starts.
+    // Legacy clients never report playback, so for them it ends with generation.
+    let activeResponse = null
+
+    const respondWithSingleAudio = async (transcript, response) => {
+        const { responseId, controller } = response
+        const { signal } = controller
+        let aiText = ''
+
+        for await (const delta of assistant.streamReply(transcript, signal)) {
+            markFirstText(response)
+            aiText += delta
+        }
+
+        log.info('Answer generated.', { responseId, text: aiText })
+        send({ type: 'response_text', responseId, text: aiText, final: true })
+
+        let audioBuffer
+
+        try {
+            audioBuffer = await synthesize(aiText, { responseId, signal })
+        } catch (ttsError) {
+            if (signal.aborted) {
+                throw ttsError
+            }
+
+            degradeToText(response, ttsError)
+            return
+        }
+
+        log.debug('Answer synthesised.', { responseId, ttsEngine: getTts().name, bytes: audioBuffer.length })
+        send({ type: 'state', state: 'speaking', responseId })
+        sendAudio({ responseId }, audioBuffer)
+    }
+
+    // Every sentence is synthesised as soon as the LLM finishes it, in parallel with the rest of
+    // the answer. Chunks are still sent strictly in order, tagged with responseId and seq, and
+    // the answer ends with an end-of-response marker carrying the number of chunks sent. Once
+    // a chunk fails to synthesise, the rest of the answer is sent as text only.
+    const respondWithAudioChunks = async (transcript, response) => {
+        const { responseId, controller } = response
+        const { signal } = controller
+        const splitter = createSentenceSplitter()
+
+        let aiText = ''
+        let seq = 0
+        let audioChunks = 0
+        let delivery = Promise.resolve()
+
+        const speak = sentence => {
+            const chunkSeq = seq++
+
+            send({ type: 'response_text', responseId, seq: chunkSeq, text: sentence, final: false })
+
+            if (response.degraded) {
+                return
+            }
+
+            const audio = synthesize(sentence, { responseId, seq: chunkSeq, signal })
+
+            // The rejection is handled when the delivery chain reaches this chunk.
+            audio.catch(() => {})
+
+            delivery = delivery.then(async () => {
+                // Queued audio of an interrupted or degraded answer is dropped instead of sent.
+                if (response.degraded || signal.aborted) {
+                    return
+                }
+
+                const audioBuffer = await audio
+
+                if (signal.aborted) {
+                    return
+                }
+
+                if (audioChunks === 0) {
+                    send({ type: 'state', state: 'speaking', responseId })
+                }
+
+                sendAudio({ responseId, seq: chunkSeq, text: sentence }, audioBuffer)
+                audioChunks++
+            }).catch(ttsError => {
+                if (!signal.aborted) {
+                    degradeToText(response, ttsError)
+                }
+            })
+        }
+
+        try {
+            log.debug('Streaming answer.', { responseId, ttsEngine: getTts().name })
+
+            for await (const delta of assistant.streamReply(transcript, signal)) {
+                markFirstText(response)
+                aiText += delta
+                splitter.push(delta).forEach(speak)
+            }
+
+            splitter.flush().forEach(speak)
+        } finally {
+            await delivery
+        }
+
+        if (signal.aborted) {
+            throw signal.reason
+        }
+
+        log.info('Answer generated.', { responseId, text: aiText, chunks: audioChunks })
+        send({ type: 'response_text', responseId, text: aiText, final: true })
+        send({ type: 'audio', responseId, end: true, chunks: audioChunks })
+    }
+
+    // TTS failed even after retries (see providers/resilience.js). The client is told once and
+    // gets the rest of the answer as text.
+    const degradeToText = (response, ttsError) => {
+        if (response.degraded) {
+            return
+        }
+
+        response.degraded = true
+        log.warn('TTS failed. Continuing the answer as text only.', { responseId: response.responseId, ttsEngine: getTts().name, error: ttsError })
+        send({ type: 'degraded', responseId: response.responseId, mode: 'text_only', reason: 'tts_failed', message: `TTS error: ${ttsError.message}` })
+    }
+
+    const closeIfDraining = () => {
+        if (draining && !(activeResponse && activeResponse.generating)) {
+            log.info('Closing drained session.')
+            ws.close(1001, 'Server shutting down')
+        }
+    }
+
+    // Cancels the in-flight LLM request and TTS synthesis, drops queued audio and tells the
+    // client to stop playing whatever it has already received.
+    const interruptResponse = reason => {
+        if (!activeResponse) {
+            return
+        }
+
+        const { responseId, controller } = activeResponse
+        activeResponse = null
+        controller.abort()
+
+        log.info('Response interrupted.', { responseId, reason })
+        send({ type: 'state', state: 'interrupted', responseId, reason })
+    }
+
+    // The first answer text of a spoken turn ends the wait measured by stt_final_to_llm.
+    const markFirstText = response => {
+        if (response.firstTextAt) {
+            return
+        }
+
+        response.firstTextAt = Date.now()
+
+        if (response.input === 'speech') {
+            metrics.sttFinalToLlmSeconds.observe({}, secondsSince(response.inputEndedAt))
+        }
+    }
+
+    // `inputEndedAt` is when the last final STT result of the turn (or the text input) arrived.
+    const respond = async (transcript, { input, inputEndedAt }) => {
+        interruptResponse('new_utterance')
+
+        const response = { responseId: uuidv4(), controller: new AbortController(), input, inputEndedAt, firstTextAt: 0, generating: true, degraded: false }
+        activeResponse = response
+        send({ type: 'state', state: 'thinking', responseId: response.responseId })
+
+        try {
+            if (getVersion() && isStreamingEnabled()) {
+                await respondWithAudioChunks(transcript, response)
+            } else {
+                await respondWithSingleAudio(transcript, response)
+            }
+
+            metrics.turnSeconds.observe({ input }, secondsSince(inputEndedAt))
+            log.info('Turn completed.', {
+                responseId: response.responseId,
+                input,
+                firstTextMs: response.firstTextAt ? response.firstTextAt - inputEndedAt : undefined,
+                turnMs: Date.now() - inputEndedAt,
+                degraded: response.degraded,
+            })
+
+            if (!getVersion() && activeResponse === response) {
+                activeResponse = null
+            }
+
+            send({ type: 'state', state: 'listening' })
+        } catch (aiProcessingError) {
+            if (response.controller.signal.aborted) {
+                log.info('Discarded interrupted response.', { responseId: response.responseId })
+                return
+            }
+
+            if (aiProcessingError.code === 'limit_exceeded') {
+                log.warn('Client reached a usage limit.', { clientId: quota.clientId, limit: aiProcessingError.limit })
+                send({ type: 'error', code: aiProcessingError.code, limit: aiProcessingError.limit, responseId: response.responseId, message: aiProcessingError.message })
+            } else {
+                log.error('Answer generation or TTS failed.', { responseId: response.responseId, error: aiProcessingError })
+                send({ type: 'error', code: 'response_failed', responseId: response.responseId, message: `AI/TTS error: ${aiProcessingError.message}` })
+            }
+
+            if (activeResponse === response) {
+                activeResponse = null
+            }
+        } finally {
+            response.generating = false
+            closeIfDraining()
+        }
+    }
+
+    const commitTurn = () => {
+        clearTimeout(turnTimer)
+        turnTimer = null
+
+        if (pendingSegments.length === 0) {
+            return
+        }
+
+        if (pendingSegments.length > 1) {
+            log.debug('Merged final segments into one turn.', { segments: pendingSegments.length })
+        }
+
+        const transcript = pendingSegments.join(' ')
+        pendingSegments = []
+        respond(transcript, { input: 'speech', inputEndedAt: lastFinalAt })
+    }
+
+    const discardTurn = () => {
+        clearTimeout(turnTimer)
+        turnTimer = null
+        pendingSegments = []
+    }
+
+    // Endpointing needs raw PCM; other encodings answer every final result as before.
+    const createVad = () => {
+        if (!sessionConfig.vad || sessionConfig.encoding !== 'LINEAR16') {
+            return null
+        }
+
+        return createVoiceActivityDetector({
+            sampleRateHertz: sessionConfig.sampleRateHertz,
+            endOfTurnSilenceMs: sessionConfig.endOfTurnSilenceMs,
+            minSpeechMs: vadOptions.minSpeechMs,
+            threshold: vadOptions.threshold,
+            onSpeechStarted: () => send({ type: 'speech_started' }),
+            onSpeechEnded: ({ durationMs }) => {
+                send({ type: 'speech_ended', durationMs })
+                commitTurn()
+            },
+        })
+    }
+
+    const onResult = ({ transcript, isFinal }) => {
+        sttFailures = 0
+        log.debug('STT result.', { text: transcript, isFinal })
+
+        send({ type: 'transcript', text: transcript, isFinal })
+
+        // The user started talking over the current answer.
+        if (!isFinal && activeResponse && transcript.trim().length >= getBargeInMinChars()) {
+            interruptResponse('barge_in')
+        }
+
+        if (isFinal && transcript.trim()) {
+            pendingSegments.push(transcript.trim())
+            lastFinalAt = Date.now()
+
+            // The user only paused; wait for the VAD to see the end of the turn.
+            if (vad && vad.isSpeaking()) {
+                clearTimeout(turnTimer)
+                turnTimer = setTimeout(commitTurn, vadOptions.maxTurnWaitMs)
+            } else {
+                commitTurn()
+            }
+        }
+    }
+
+    // The session stays open when recognition fails. Audio is dropped for a backoff delay that
+    // grows with consecutive failures, then the next frame opens a new stream.
+    const handleSttFailure = (error, failedStream) => {
+        if (failedStream) {
+            if (failedStream !== recognizeStream) {
+                return
+            }
+
+            recognizeStream = null
+            failedStream.end()
+        }
+
+        const retryInMs = Math.round(getRetryDelayMs(error, sttFailures, getResilienceOptions().retryBaseDelayMs))
+        sttFailures++
+        sttRetryAt = Date.now() + retryInMs
+
+        log.error('STT stream failed. Reopening it with later audio.', { stt: stt.name, failures: sttFailures, retryInMs, error })
+        send({ type: 'error', code: 'stt_failed', recoverable: true, retryInMs, message: `STT streaming error: ${error.message}` })
+    }
+
+    const startRecognition = () => {
+        const stream = stt.createStream({
+            encoding: sessionConfig.encoding,
+            sampleRateHertz: sessionConfig.sampleRateHertz,
+            languageCode: sessionConfig.languageCode,
+            onError: error => handleSttFailure(error, stream),
+            onResult,
+        })
+
+        return stream
+    }
+
+    const endRecognition = () => {
+        if (recognizeStream) {
+            recognizeStream.end()
+            recognizeStream = null
+        }
+    }
+
+    const startSession = ({ persona: requestedPersonaId, systemPrompt, ...config }) => {
+        setVersion(PROTOCOL_VERSION)
+
+        const previousConfig = sessionConfig
+
+        const requestedPersona = requestedPersonaId ? findPersona(requestedPersonaId) : null
+
+        if (requestedPersonaId && !requestedPersona) {
+            send({ type: 'error', code: 'unknown_persona', message: `Persona "${requestedPersonaId}" not found.` })
+            return
+        }
+
+        if (config.ttsEngine && !ttsEngines[config.ttsEngine]) {
+            send({ type: 'error', code: 'unknown_tts_engine', message: `TTS engine "${config.ttsEngine}" is not available. Available: ${Object.keys(ttsEngines).join(', ')}.` })
+            return
+        }
+
+        const engine = ttsEngines[config.ttsEngine] || (requestedPersona ? ttsEngines[getPersonaTtsEngine(requestedPersona)] : null) || getTts()
+        const outputFormat = config.outputFormat || sessionConfig.outputFormat
+
+        if (!engine.formats.includes(outputFormat)) {
+            send({ type: 'error', code: 'unsupported_format', message: `${engine.name} TTS can't produce ${outputFormat} audio. Supported: ${engine.formats.join(', ')}.` })
+            return
+        }
+
+        if (requestedPersona) {
+            applyPersona(requestedPersona)
+        }
+
+        // Voice ids belong to one engine; switching engines without a voice uses its default.
+        if (config.ttsEngine && config.ttsEngine !== sessionConfig.ttsEngine && config.voice === undefined) {
+            sessionConfig = { ...sessionConfig, voice: undefined }
+        }
+
+        sessionConfig = { ...sessionConfig, ...config }
+
+        if (systemPrompt) {
+            assistant.setSystemPrompt(systemPrompt)
+        }
+
+        const audioConfigChanged = ['encoding', 'sampleRateHertz', 'languageCode']
+            .some(field => sessionConfig[field] !== previousConfig[field])
+
+        // The next audio frame opens a recognition stream with the new settings.
+        if (audioConfigChanged) {
+            endRecognition()
+        }
+
+        if (audioConfigChanged || ['vad', 'endOfTurnSilenceMs'].some(field => sessionConfig[field] !== previousConfig[field])) {
+            vad = undefined
+        }
+
+        log.info('Session started.', {
+            protocolVersion: PROTOCOL_VERSION,
+            persona: assistant.getPersona().id,
+            languageCode: sessionConfig.languageCode,
+            encoding: sessionConfig.encoding,
+            sampleRateHertz: sessionConfig.sampleRateHertz,
+            ttsEngine: getTts().name,
+        })
+
+        send({
+            type: 'state',
+            state: 'listening',
+            sessionId,
+            config: {
+                persona: assistant.getPersona().id,
+                languageCode: sessionConfig.languageCode,
+                sampleRateHertz: sessionConfig.sampleRateHertz,
+                encoding: sessionConfig.encoding,
+                ttsEngine: getTts().name,
+                voice: sessionConfig.voice,
+                vad: sessionConfig.vad,
+                endOfTurnSilenceMs: sessionConfig.endOfTurnSilenceMs,
+                outputFormat: sessionConfig.outputFormat,
+                outputMimeType: AUDIO_FORMATS[sessionConfig.outputFormat].mimeType,
+                outputTransport: sessionConfig.outputTransport,
+            },
+        })
+    }
+
+    const handleControlMessage = raw => {
+        let message
+
+        try {
+            message = parseClientMessage(raw)
+        } catch (error) {
+            log.warn('Received an invalid control message.', { error, bytes: raw.length })
+
+            // Legacy clients never got replies to text frames; only versioned clients get an error.
+            if (getVersion()) {
+                send({ type: 'error', code: error.code || 'invalid_message', message: error.message })
+            }
+
+            return
+        }
+
+        switch (message.type) {
+            case 'start':
+                startSession(message.config)
+                break
+            case 'stop':
+                interruptResponse('client')
+                discardTurn()
+                endRecognition()
+                send({ type: 'state', state: 'stopped' })
+                break
+            case 'end_of_utterance':
+                endRecognition()
+
+                if (vad) {
+                    vad.reset()
+                }
+
+                commitTurn()
+                break
+            case 'text_input':
+                recorder.record('text_input', { text: message.text.trim() })
+                respond(message.text.trim(), { input: 'text', inputEndedAt: Date.now() })
+                break
+            case 'interrupt':
+                interruptResponse('client')
+                break
+            case 'playback_ended':
+                if (activeResponse && activeResponse.responseId === message.responseId) {
+                    activeResponse = null
+                }
+                break
+            case 'ping':
+                send({ type: 'pong' })
+                break
+        }
+    }
+
+    // Charges received audio against the daily quota. Once it runs out, recognition stops and
+    // further audio is dropped; the client gets one error event.
+    const chargeAudio = message => {
+        if (audioLimitReached) {
+            return false
+        }
+
+        try {
+            quota.addAudioSeconds(getAudioSeconds(message.length, sessionConfig))
+            return true
+        } catch (limitError) {
+            audioLimitReached = true
+            log.warn('Client reached a usage limit.', { clientId: quota.clientId, limit: limitError.limit })
+            send({ type: 'error', code: limitError.code, limit: limitError.limit, message: limitError.message })
+            endRecognition()
+            return false
+        }
+    }
+
+    ws.on('message', (message, isBinary) => {
+        if (isBinary) {
+            // Recognition is backing off after a failure; the audio is neither charged nor heard.
+            if (!recognizeStream && Date.now() < sttRetryAt) {
+                return
+            }
+
+            if (!chargeAudio(message)) {
+                return
+            }
+
+            if (!recognizeStream) {
+                try {
+                    recognizeStream = startRecognition()
+                } catch (sttError) {
+                    handleSttFailure(sttError, null)
+                    return
+                }
+            }
+
+            if (vad === undefined) {
+                vad = createVad()
+            }
+
+            if (vad) {
+                vad.push(message)
+            }
+
+            recognizeStream.write(message)
+        } else {
+            handleControlMessage(message)
+        }
+    })
+
+    ws.on('server_draining', () => {
+        draining = true
+        log.info('Server is draining. Closing the session after the current answer.')
+        send({ type: 'state', state: 'draining' })
+        closeIfDraining()
+    })
+
+    ws.on('close', () => {
+        log.info('Client disconnected.', { transport })
+        metrics.activeSessions.dec({ transport })
+
+        if (activeResponse) {
+            activeResponse.controller.abort()
+            activeResponse = null
+        }
+
+        discardTurn()
+        endRecognition()
+        recorder.close()
+        releaseSession()
+    })
+
+    ws.on('error', error => {
+        log.error('WebSocket error.', { error })
+        recorder.record('error', { code: 'websocket_error', message: error.message })
+        endRecognition()
+    })
+}
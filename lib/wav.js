@@ -0,0 +1,57 @@
+import fs from 'fs'
+
+// WAV audio format codes.
+export const WAV_PCM = 1
+export const WAV_MULAW = 7
+
+// Returns the samples of a 16-bit mono PCM WAV, from a file name or the file contents.
+export const readWav = input => {
+    const wav = Buffer.isBuffer(input) ? input : fs.readFileSync(input)
+    const name = Buffer.isBuffer(input) ? 'The WAV file' : input
+    let offset = 12
+    let format = null
+
+    if (wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error(`${name} is not a WAV file.`)
+    }
+
+    while (offset + 8 <= wav.length) {
+        const chunkId = wav.toString('ascii', offset, offset + 4)
+        const chunkSize = wav.readUInt32LE(offset + 4)
+        const body = wav.subarray(offset + 8, offset + 8 + chunkSize)
+
+        if (chunkId === 'fmt ') {
+            format = { audioFormat: body.readUInt16LE(0), channels: body.readUInt16LE(2), sampleRate: body.readUInt32LE(4), bitsPerSample: body.readUInt16LE(14) }
+        } else if (chunkId === 'data') {
+            if (!format || format.audioFormat !== WAV_PCM || format.channels !== 1 || format.bitsPerSample !== 16) {
+                throw new Error(`${name} must be 16-bit mono PCM.`)
+            }
+
+            return { pcm: body, sampleRate: format.sampleRate }
+        }
+
+        offset += 8 + chunkSize + (chunkSize % 2)
+    }
+
+    throw new Error(`${name} has no audio data.`)
+}
+
+// Mono WAV file contents around `data`: 16-bit PCM by default, or 8-bit mu-law.
+export const encodeWav = (data, { sampleRate, audioFormat = WAV_PCM }) => {
+    const bytesPerSample = audioFormat === WAV_MULAW ? 1 : 2
+    const header = Buffer.alloc(44)
+    header.write('RIFF', 0, 'ascii')
+    header.writeUInt32LE(36 + data.length, 4)
+    header.write('WAVEfmt ', 8, 'ascii')
+    header.writeUInt32LE(16, 16)
+    header.writeUInt16LE(audioFormat, 20)
+    header.writeUInt16LE(1, 22)
+    header.writeUInt32LE(sampleRate, 24)
+    header.writeUInt32LE(sampleRate * bytesPerSample, 28)
+    header.writeUInt16LE(bytesPerSample, 32)
+    header.writeUInt16LE(bytesPerSample * 8, 34)
+    header.write('data', 36, 'ascii')
+    header.writeUInt32LE(data.length, 40)
+
+    return Buffer.concat([header, data])
+}
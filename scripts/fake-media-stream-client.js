@@ -0,0 +1,123 @@
+// Plays a WAV file into the Twilio media stream route the way Twilio would during a call, and
+// saves the audio the server answers with.
+//
+//   node scripts/fake-media-stream-client.js [input.wav] [reply.wav]
+//
+// The input must be 16-bit mono PCM at any sample rate; without one, three seconds of silence
+// are sent (useful with STT_PROVIDER=fake). The reply is written as an 8 kHz mu-law WAV.
+// MEDIA_STREAM_URL overrides the server address. With TWILIO_AUTH_TOKEN the request is signed
+// the way Twilio signs it, for the URL in TWILIO_MEDIA_STREAM_URL or MEDIA_STREAM_URL as wss://.
+// PERSONA is sent as a custom parameter and REPLY_WAIT_MS is how long to keep listening after
+// the input ends (default 10000).
+import fs from 'fs'
+import WebSocket from 'ws'
+import { v4 as uuidv4 } from 'uuid'
+
+import { encodeMulaw, resamplePcm16 } from '../lib/mulaw.js'
+import { getEnvNumber } from '../lib/env.js'
+import { WAV_MULAW, encodeWav, readWav } from '../lib/wav.js'
+import { getTwilioSignature } from '../lib/twilio-media-stream.js'
+
+const [inputFile, outputFile = 'reply.wav'] = process.argv.slice(2)
+const url = new URL(process.env.MEDIA_STREAM_URL || 'ws://localhost:3001/twilio/media-stream')
+const replyWaitMs = getEnvNumber('REPLY_WAIT_MS', 10000)
+
+const getHeaders = () => {
+    if (!process.env.TWILIO_AUTH_TOKEN) {
+        return {}
+    }
+
+    const signedUrl = process.env.TWILIO_MEDIA_STREAM_URL || url.toString().replace(/^ws:/, 'wss:')
+
+    return { 'X-Twilio-Signature': getTwilioSignature(signedUrl, process.env.TWILIO_AUTH_TOKEN) }
+}
+
+const SAMPLE_RATE = 8000
+const FRAME_BYTES = 160 // 20 ms of 8 kHz mu-law, the frame size Twilio sends
+
+const loadInput = () => {
+    if (!inputFile) {
+        return encodeMulaw(Buffer.alloc(SAMPLE_RATE * 2 * 3))
+    }
+
+    const { pcm, sampleRate } = readWav(inputFile)
+
+    return encodeMulaw(resamplePcm16(pcm, sampleRate, SAMPLE_RATE))
+}
+
+const input = loadInput()
+const streamSid = `MZ${uuidv4().replace(/-/g, '')}`
+const callSid = `CA${uuidv4().replace(/-/g, '')}`
+const reply = []
+const ws = new WebSocket(url, { headers: getHeaders() })
+
+const send = message => ws.send(JSON.stringify(message))
+
+const streamInput = async () => {
+    send({ event: 'connected', protocol: 'Call', version: '1.0.0' })
+    send({
+        event: 'start',
+        sequenceNumber: '1',
+        streamSid,
+        start: {
+            streamSid,
+            callSid,
+            accountSid: 'ACfake',
+            tracks: ['inbound'],
+            customParameters: process.env.PERSONA ? { persona: process.env.PERSONA } : {},
+            mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: SAMPLE_RATE, channels: 1 },
+        },
+    })
+
+    for (let offset = 0, chunk = 1; offset < input.length; offset += FRAME_BYTES, chunk++) {
+        send({
+            event: 'media',
+            streamSid,
+            media: { track: 'inbound', chunk: String(chunk), timestamp: String(chunk * 20), payload: input.subarray(offset, offset + FRAME_BYTES).toString('base64') },
+        })
+
+        // Real time, like a phone line.
+        await new Promise(resolve => setTimeout(resolve, 20))
+    }
+
+    console.log(`Sent ${(input.length / SAMPLE_RATE).toFixed(1)} s of audio. Waiting ${replyWaitMs} ms for the answer...`)
+    await new Promise(resolve => setTimeout(resolve, replyWaitMs))
+
+    send({ event: 'stop', streamSid, stop: { accountSid: 'ACfake', callSid } })
+    ws.close()
+}
+
+ws.on('open', () => {
+    console.log(`Connected to ${url.origin}${url.pathname}. Call ${callSid}`)
+    streamInput().catch(error => {
+        console.error('Streaming failed:', error)
+        ws.close()
+    })
+})
+
+ws.on('message', raw => {
+    const message = JSON.parse(raw.toString())
+
+    switch (message.event) {
+        case 'media':
+            reply.push(Buffer.from(message.media.payload, 'base64'))
+            break
+        case 'mark':
+            console.log(`Answer ${message.mark.name} finished. Acknowledging playback.`)
+            send({ event: 'mark', streamSid, mark: { name: message.mark.name } })
+            break
+        case 'clear':
+            console.log('Server cleared buffered audio (barge-in).')
+            break
+    }
+})
+
+ws.on('close', () => {
+    const audio = Buffer.concat(reply)
+    fs.writeFileSync(outputFile, encodeWav(audio, { sampleRate: SAMPLE_RATE, audioFormat: WAV_MULAW }))
+    console.log(`Received ${(audio.length / SAMPLE_RATE).toFixed(1)} s of audio, saved to ${outputFile}.`)
+})
+
+ws.on('error', error => {
+    console.error('WebSocket error:', error.message)
+})
@@ -0,0 +1,49 @@
+// Streams a WAV file into the voice WebSocket like a browser client, prints the events the
+// server sends back and optionally checks that they arrive in the expected order.
+//
+//   node scripts/simulate-conversation.js input.wav [expected events]
+//
+// The input must be 16-bit mono PCM at any sample rate. Expected events are a comma-separated
+// list of event types and `state:<state>`, e.g. speech_started,transcript,state:thinking,audio,state:listening;
+// the script exits with 1 when they don't appear in that order. VOICE_WS_URL overrides the
+// server address, API_KEY is sent as `access_token`, PERSONA picks a persona and ANSWERS is
+// how many answers to wait for (default 1). SPEED=0 sends the audio as fast as possible.
+import { checkEventSequence, simulateConversation } from '../lib/simulator.js'
+import { getEnvNumber } from '../lib/env.js'
+
+const [inputFile, expected] = process.argv.slice(2)
+
+if (!inputFile) {
+    console.error('Usage: node scripts/simulate-conversation.js input.wav [expected events]')
+    process.exit(2)
+}
+
+const url = new URL(process.env.VOICE_WS_URL || 'ws://localhost:3001')
+
+if (process.env.API_KEY) {
+    url.searchParams.set('access_token', process.env.API_KEY)
+}
+
+const speed = getEnvNumber('SPEED', 1)
+
+try {
+    const events = await simulateConversation({
+        url: url.toString(),
+        wav: inputFile,
+        config: process.env.PERSONA ? { persona: process.env.PERSONA } : {},
+        speed: speed > 0 ? speed : Infinity,
+        answers: getEnvNumber('ANSWERS', 1, { min: 1 }),
+    })
+
+    for (const event of events) {
+        console.log(JSON.stringify(event.data ? { ...event, data: `<${event.data.length} base64 chars>` } : event))
+    }
+
+    if (expected) {
+        checkEventSequence(events, expected.split(',').map(name => name.trim()).filter(Boolean))
+        console.log('Event sequence matches.')
+    }
+} catch (error) {
+    console.error(error.message)
+    process.exit(1)
+}
@@ -0,0 +1,97 @@
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import { createAuth } from '../lib/auth.js'
+import { createFakeLlm, createFakeStt, createFakeTts } from '../lib/providers/fake.js'
+import { createElevenLabsApiRouter } from '../lib/routes/elevenlabs.js'
+import { createSessionLogStore } from '../lib/session-log.js'
+import { simulateConversation } from '../lib/simulator.js'
+import { createRecording } from './support/audio.js'
+import { startTestServer } from './support/server.js'
+
+const KEYS = { alice: 'key-alice', bob: 'key-bob', ops: 'key-ops' }
+
+const RECORDING = createRecording([['silence', 200], ['speech', 600], ['silence', 1000]])
+
+describe('per-client access', () => {
+    let server
+    let sessionsDir
+    let aliceSessionId
+
+    const request = (client, route, options = {}) => fetch(`${server.url}${route}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': KEYS[client], ...options.headers },
+    })
+
+    before(async () => {
+        sessionsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'))
+        server = await startTestServer({
+            providers: { stt: createFakeStt({ script: [{ transcript: 'สวัสดี', isFinal: true }], chunksPerResult: 30 }), llm: createFakeLlm(), tts: createFakeTts() },
+            auth: createAuth({
+                apiKeys: Object.entries(KEYS).map(([clientId, key]) => ({ clientId, key })),
+                jwtSecret: null,
+                allowedOrigins: [],
+                adminClients: ['ops'],
+            }),
+            sessionLogs: createSessionLogStore({ dir: sessionsDir }),
+            configureApp: (app, { auth }) => {
+                const conversations = { list: async () => [{ conversationId: 'conv1' }], read: async conversationId => ({ conversationId }) }
+                app.use('/api', createElevenLabsApiRouter({ elevenlabs: null, conversations, requireAdmin: auth.requireAdmin }))
+            },
+        })
+
+        const events = await simulateConversation({ url: `${server.wsUrl}?access_token=${KEYS.alice}`, wav: RECORDING, speed: Infinity })
+        aliceSessionId = events.find(event => event.sessionId).sessionId
+    })
+
+    after(async () => {
+        await server.close()
+        fs.rmSync(sessionsDir, { recursive: true, force: true })
+    })
+
+    test('lists and exports only the sessions a client started', async () => {
+        const aliceSessions = await (await request('alice', '/api/sessions')).json()
+        assert.deepEqual(aliceSessions.map(session => [session.sessionId, session.clientId]), [[aliceSessionId, 'alice']])
+
+        assert.deepEqual(await (await request('bob', '/api/sessions')).json(), [])
+        assert.equal((await request('bob', `/api/sessions/${aliceSessionId}`)).status, 404)
+        assert.equal((await request('bob', `/api/sessions/${aliceSessionId}/export?format=srt`)).status, 404)
+
+        const { events } = await (await request('alice', `/api/sessions/${aliceSessionId}`)).json()
+        assert.equal(events[0].type, 'session_started')
+    })
+
+    test('lets admins read every session', async () => {
+        const sessions = await (await request('ops', '/api/sessions')).json()
+        assert.ok(sessions.some(session => session.sessionId === aliceSessionId))
+        assert.equal((await request('ops', `/api/sessions/${aliceSessionId}/export?format=vtt`)).status, 200)
+    })
+
+    test('lets every client read personas but only admins change them', async () => {
+        const persona = { id: 'support', name: 'Support', systemPrompt: 'Help with orders.' }
+
+        assert.equal((await request('bob', '/api/personas')).status, 200)
+        assert.equal((await request('bob', '/api/personas', { method: 'POST', body: JSON.stringify(persona) })).status, 403)
+        assert.equal((await request('bob', '/api/personas/default', { method: 'PATCH', body: JSON.stringify({ name: 'Mine' }) })).status, 403)
+        assert.equal((await request('bob', '/api/personas/default', { method: 'DELETE' })).status, 403)
+
+        assert.equal((await request('ops', '/api/personas', { method: 'POST', body: JSON.stringify(persona) })).status, 201)
+        assert.equal((await request('ops', '/api/personas/support', { method: 'DELETE' })).status, 204)
+    })
+
+    test('lets only admins read ElevenLabs agent conversations', async () => {
+        assert.equal((await request('bob', '/api/elevenlabs/conversations')).status, 403)
+        assert.equal((await request('bob', '/api/elevenlabs/conversations/conv1')).status, 403)
+
+        assert.deepEqual(await (await request('ops', '/api/elevenlabs/conversations')).json(), [{ conversationId: 'conv1' }])
+        assert.deepEqual(await (await request('ops', '/api/elevenlabs/conversations/conv1')).json(), { conversationId: 'conv1' })
+    })
+
+    test('rejects requests without a valid key', async () => {
+        assert.equal((await fetch(`${server.url}/api/personas`)).status, 401)
+        assert.equal((await request('alice', '/api/personas', { headers: { 'X-API-Key': 'wrong' } })).status, 401)
+    })
+})
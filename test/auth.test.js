@@ -0,0 +1,161 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+
+import './support/env.js'
+import { createAuth, getAuthConfig } from '../lib/auth.js'
+
+const SECRET = 'jwt-test-secret'
+
+const encode = part => Buffer.from(JSON.stringify(part)).toString('base64url')
+
+const signJwt = (claims, { secret = SECRET, alg = 'HS256' } = {}) => {
+    const unsigned = `${encode({ alg, typ: 'JWT' })}.${encode(claims)}`
+    return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`
+}
+
+const now = () => Math.floor(Date.now() / 1000)
+
+const createRequest = ({ headers = {}, url = '/' } = {}) => ({ headers, url, socket: { remoteAddress: '203.0.113.7' } })
+
+const createEnabledAuth = (options = {}) => createAuth({
+    apiKeys: [{ clientId: 'app', key: 'app-key' }, { clientId: 'ops', key: 'ops-key' }],
+    jwtSecret: SECRET,
+    allowedOrigins: ['https://app.example.com'],
+    adminClients: ['ops', 'jwt:root'],
+    ...options,
+})
+
+// Runs an Express middleware and resolves with what it passed to `next`.
+const runMiddleware = (middleware, req) => new Promise(resolve => middleware(req, {}, error => resolve(error || null)))
+
+describe('API keys', () => {
+    const auth = createEnabledAuth()
+
+    test('are read from X-API-Key, a bearer token or the access_token query parameter', () => {
+        for (const request of [
+            createRequest({ headers: { 'x-api-key': 'app-key' } }),
+            createRequest({ headers: { authorization: 'Bearer app-key' } }),
+            createRequest({ url: '/?access_token=app-key' }),
+        ]) {
+            assert.deepEqual(auth.authenticate(request), { clientId: 'app', limits: {}, admin: false })
+        }
+    })
+
+    test('make the clients in adminClients admins', () => {
+        assert.equal(auth.authenticate(createRequest({ headers: { 'x-api-key': 'ops-key' } })).admin, true)
+    })
+
+    test('reject unknown and missing keys', () => {
+        assert.equal(auth.authenticate(createRequest({ headers: { 'x-api-key': 'app-ke' } })), null)
+        assert.equal(auth.authenticate(createRequest()), null)
+    })
+})
+
+describe('API_KEYS', () => {
+    test('names each key by its client name, or by a hash of the whole key', () => {
+        process.env.API_KEYS = 'app:abcd-one, abcd-two,abcd-three'
+
+        try {
+            const [named, first, second] = getAuthConfig().apiKeys
+
+            assert.deepEqual(named, { clientId: 'app', key: 'abcd-one' })
+            assert.equal(first.key, 'abcd-two')
+            assert.match(first.clientId, /^key-[0-9a-f]{12}$/)
+            assert.notEqual(first.clientId, second.clientId)
+            assert.ok(!first.clientId.includes('abcd'))
+        } finally {
+            delete process.env.API_KEYS
+        }
+    })
+})
+
+describe('JWTs', () => {
+    const auth = createEnabledAuth()
+
+    const authenticate = token => auth.authenticate(createRequest({ headers: { authorization: `Bearer ${token}` } }))
+
+    test('identify the client by sub and carry limits and the admin claim', () => {
+        assert.deepEqual(authenticate(signJwt({ sub: 'user-1', exp: now() + 60, limits: { sessionsPerDay: 3 } })), {
+            clientId: 'jwt:user-1',
+            limits: { sessionsPerDay: 3 },
+            admin: false,
+        })
+        assert.equal(authenticate(signJwt({ sub: 'user-1', admin: true })).admin, true)
+        assert.equal(authenticate(signJwt({ sub: 'root' })).admin, true)
+    })
+
+    test('reject bad signatures, other algorithms and tokens without a subject', () => {
+        assert.equal(authenticate(signJwt({ sub: 'user-1' }, { secret: 'other-secret' })), null)
+        assert.equal(authenticate(signJwt({ sub: 'user-1' }, { alg: 'none' })), null)
+        assert.equal(authenticate(signJwt({ name: 'no subject' })), null)
+        assert.equal(authenticate('not.a.jwt'), null)
+
+        const [header, , signature] = signJwt({ sub: 'user-1' }).split('.')
+        assert.equal(authenticate(`${header}.${encode({ sub: 'user-1', admin: true })}.${signature}`), null)
+    })
+
+    test('reject expired and not yet valid tokens', () => {
+        assert.equal(authenticate(signJwt({ sub: 'user-1', exp: now() - 1 })), null)
+        assert.equal(authenticate(signJwt({ sub: 'user-1', nbf: now() + 60 })), null)
+    })
+
+    test('are refused when no JWT_SECRET is set', () => {
+        const keysOnly = createEnabledAuth({ jwtSecret: null })
+
+        assert.equal(keysOnly.authenticate(createRequest({ headers: { authorization: `Bearer ${signJwt({ sub: 'user-1' })}` } })), null)
+    })
+})
+
+describe('origins', () => {
+    const auth = createEnabledAuth()
+
+    test('requireAuth rejects disallowed origins before checking credentials', async () => {
+        const rejected = await runMiddleware(auth.requireAuth, createRequest({ headers: { origin: 'https://evil.example.com', 'x-api-key': 'app-key' } }))
+        assert.equal(rejected.status, 403)
+
+        const req = createRequest({ headers: { origin: 'https://app.example.com', 'x-api-key': 'app-key' } })
+        assert.equal(await runMiddleware(auth.requireAuth, req), null)
+        assert.equal(req.authClient.clientId, 'app')
+
+        // Non-browser clients send no Origin.
+        assert.equal(await runMiddleware(auth.requireAuth, createRequest({ headers: { 'x-api-key': 'app-key' } })), null)
+        assert.equal((await runMiddleware(auth.requireAuth, createRequest())).status, 401)
+    })
+
+    test('the WebSocket upgrade checks the origin and the credential', () => {
+        const verify = (origin, req) => new Promise(resolve => auth.verifyWebSocketClient({ origin, req }, (ok, status) => resolve(ok ? 101 : status)))
+
+        return Promise.all([
+            verify('https://evil.example.com', createRequest({ url: '/?access_token=app-key' })).then(status => assert.equal(status, 403)),
+            verify('https://app.example.com', createRequest({ url: '/?access_token=wrong' })).then(status => assert.equal(status, 401)),
+            verify('https://app.example.com', createRequest({ url: '/?access_token=app-key' })).then(status => assert.equal(status, 101)),
+        ])
+    })
+
+    test('CORS allows every origin only when ALLOWED_ORIGINS is empty', () => {
+        const allows = (corsAuth, origin) => new Promise(resolve => corsAuth.corsOptions.origin(origin, (error, allowed) => resolve(allowed)))
+
+        return Promise.all([
+            allows(auth, 'https://app.example.com').then(allowed => assert.equal(allowed, true)),
+            allows(auth, 'https://evil.example.com').then(allowed => assert.equal(allowed, false)),
+            allows(createEnabledAuth({ allowedOrigins: [] }), 'https://evil.example.com').then(allowed => assert.equal(allowed, true)),
+        ])
+    })
+})
+
+describe('requireAdmin', () => {
+    test('lets only admin clients through', async () => {
+        const auth = createEnabledAuth()
+
+        assert.equal((await runMiddleware(auth.requireAdmin, { authClient: { clientId: 'app', admin: false } })).status, 403)
+        assert.equal(await runMiddleware(auth.requireAdmin, { authClient: { clientId: 'ops', admin: true } }), null)
+    })
+
+    test('treats every client as an admin while auth is off', () => {
+        const auth = createAuth({ apiKeys: [], jwtSecret: null, allowedOrigins: [] })
+
+        assert.equal(auth.enabled, false)
+        assert.deepEqual(auth.authenticate(createRequest()), { clientId: 'ip:203.0.113.7', limits: {}, admin: true })
+    })
+})
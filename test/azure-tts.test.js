@@ -0,0 +1,60 @@
+import { afterEach, beforeEach, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as sdk from 'microsoft-cognitiveservices-speech-sdk'
+
+import './support/env.js'
+import { createAzureTts } from '../lib/providers/tts/azure.js'
+
+// A synthesizer that answers every request with `result` and records the voice it was set up with.
+const createFakeSynthesizer = (result, voices) => speechConfig => ({
+    speakTextAsync: (text, onResult) => {
+        voices.push(speechConfig.speechSynthesisVoiceName)
+        setImmediate(() => onResult(result))
+    },
+    close: () => {},
+})
+
+const createCanceledResult = errorCode => {
+    const properties = new sdk.PropertyCollection()
+    properties.setProperty('CancellationErrorCode', errorCode)
+
+    return new sdk.SpeechSynthesisResult('result-id', sdk.ResultReason.Canceled, undefined, `${errorCode} from the service`, properties)
+}
+
+describe('Azure TTS', () => {
+    let voices
+
+    beforeEach(() => {
+        voices = []
+        process.env.AZURE_SPEECH_KEY = 'test-key'
+        process.env.AZURE_SPEECH_REGION = 'southeastasia'
+    })
+
+    afterEach(() => {
+        delete process.env.AZURE_SPEECH_KEY
+        delete process.env.AZURE_SPEECH_REGION
+    })
+
+    test('returns the synthesised audio', async () => {
+        const result = new sdk.SpeechSynthesisResult('result-id', sdk.ResultReason.SynthesizingAudioCompleted, new Uint8Array([1, 2, 3]).buffer)
+        const tts = createAzureTts({ createSynthesizer: createFakeSynthesizer(result, voices) })
+
+        assert.deepEqual(await tts.synthesize('สวัสดี', { voice: 'th-TH-PremwadeeNeural' }), Buffer.from([1, 2, 3]))
+        assert.deepEqual(voices, ['th-TH-PremwadeeNeural'])
+    })
+
+    test('gives retryable cancellations an HTTP-like status code', async () => {
+        const cases = [['TooManyRequests', 429], ['ConnectionFailure', 503], ['ServiceTimeout', 503], ['ServiceError', 503], ['AuthenticationFailure', undefined]]
+
+        for (const [errorCode, statusCode] of cases) {
+            const tts = createAzureTts({ createSynthesizer: createFakeSynthesizer(createCanceledResult(errorCode), voices) })
+
+            await assert.rejects(tts.synthesize('สวัสดี'), error => {
+                assert.equal(error.name, 'ProviderError')
+                assert.equal(error.statusCode, statusCode, errorCode)
+                assert.match(error.message, new RegExp(`^Azure TTS canceled: .*${errorCode} from the service`))
+                return true
+            })
+        }
+    })
+})
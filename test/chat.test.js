@@ -0,0 +1,113 @@
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { createFakeStt, createFakeTts } from '../lib/providers/fake.js'
+import { createGeminiLlm } from '../lib/providers/llm/gemini.js'
+import { startGeminiStub } from './support/gemini-stub.js'
+import { startTestServer } from './support/server.js'
+
+const postChat = (server, body, headers = {}) => fetch(`${server.url}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+})
+
+const parseEvents = text => text.trim().split('\n\n').map(block => {
+    const [eventLine, dataLine] = block.split('\n')
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) }
+})
+
+describe('POST /api/chat', () => {
+    let gemini
+    let server
+
+    before(async () => {
+        gemini = await startGeminiStub({ respond: body => `คุณพูดว่า ${body.contents.at(-1).parts[0].text} ค่ะ` })
+        server = await startTestServer({
+            providers: { stt: createFakeStt(), llm: createGeminiLlm({ geminiApiUrl: gemini.url }), tts: createFakeTts() },
+        })
+    })
+
+    after(async () => {
+        await server.close()
+        await gemini.close()
+    })
+
+    test('answers with JSON and keeps the conversation per sessionId', async () => {
+        const first = await postChat(server, { message: 'สวัสดี', sessionId: 'chat-1' })
+        assert.equal(first.status, 200)
+
+        const reply = await first.json()
+        assert.equal(reply.sessionId, 'chat-1')
+        assert.equal(reply.persona, 'default')
+        assert.equal(reply.text, 'คุณพูดว่า สวัสดี ค่ะ')
+
+        await postChat(server, { message: 'ขอบคุณ', sessionId: 'chat-1' })
+
+        const { contents } = gemini.requests.at(-1).body
+        assert.deepEqual(contents.map(content => content.role), ['user', 'model', 'user'])
+        assert.equal(contents[0].parts[0].text, 'สวัสดี')
+    })
+
+    test('includes synthesised audio when asked for', async () => {
+        const response = await postChat(server, { message: 'สวัสดี', audio: true, outputFormat: 'pcm16k' })
+        const reply = await response.json()
+
+        assert.equal(reply.audio.format, 'pcm16k')
+        assert.equal(Buffer.from(reply.audio.data, 'base64').toString('utf8'), reply.text)
+    })
+
+    test('streams server-sent events', async () => {
+        const response = await postChat(server, { message: 'สวัสดี', audio: true }, { Accept: 'text/event-stream' })
+        assert.match(response.headers.get('content-type'), /^text\/event-stream/)
+
+        const events = parseEvents(await response.text())
+        const text = events.filter(({ event }) => event === 'text').map(({ data }) => data.delta).join('')
+        const done = events.at(-1)
+
+        assert.equal(events[0].event, 'start')
+        assert.equal(text, 'คุณพูดว่า สวัสดี ค่ะ')
+        assert.equal(done.event, 'done')
+        assert.equal(done.data.text, text)
+        assert.equal(done.data.chunks, events.filter(({ event }) => event === 'audio').length)
+    })
+
+    test('rejects invalid requests', async () => {
+        const empty = await postChat(server, { message: '  ' })
+        assert.equal(empty.status, 400)
+
+        const unknownPersona = await postChat(server, { message: 'hi', persona: 'nobody' })
+        assert.equal(unknownPersona.status, 404)
+        assert.match((await unknownPersona.json()).error, /nobody/)
+    })
+
+    test('keeps a limited number of sessions per client and in total', async () => {
+        process.env.CHAT_MAX_SESSIONS_PER_CLIENT = '2'
+        const countTurns = () => gemini.requests.at(-1).body.contents.length
+
+        try {
+            for (const sessionId of ['limit-a', 'limit-b', 'limit-c']) {
+                await postChat(server, { message: 'สวัสดี', sessionId })
+            }
+
+            // limit-a was used least recently and was dropped for limit-c; limit-b now goes for limit-a.
+            await postChat(server, { message: 'สวัสดี', sessionId: 'limit-a' })
+            assert.equal(countTurns(), 1)
+
+            await postChat(server, { message: 'สวัสดี', sessionId: 'limit-c' })
+            assert.equal(countTurns(), 3)
+
+            process.env.CHAT_MAX_SESSIONS_PER_CLIENT = '5'
+            process.env.CHAT_MAX_SESSIONS = '2'
+
+            const refused = await postChat(server, { message: 'สวัสดี', sessionId: 'limit-d' })
+            assert.equal(refused.status, 503)
+
+            const existing = await postChat(server, { message: 'สวัสดี', sessionId: 'limit-a' })
+            assert.equal(existing.status, 200)
+        } finally {
+            delete process.env.CHAT_MAX_SESSIONS_PER_CLIENT
+            delete process.env.CHAT_MAX_SESSIONS
+        }
+    })
+})
@@ -0,0 +1,217 @@
+import { after, afterEach, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { ProviderError } from '../lib/errors.js'
+import { createFakeLlm, createFakeStt, createFakeTts } from '../lib/providers/fake.js'
+import { createConversation } from '../lib/conversation.js'
+import { createGeminiLlm } from '../lib/providers/llm/gemini.js'
+import { checkEventSequence, simulateConversation } from '../lib/simulator.js'
+import { createRecording } from './support/audio.js'
+import { startGeminiStub } from './support/gemini-stub.js'
+import { startTestServer } from './support/server.js'
+
+const REPLY = 'สวัสดีค่ะ ยินดีที่ได้รู้จักค่ะ วันนี้มีอะไรให้ช่วยไหมคะ'
+
+// 600 ms of speech, then enough silence for the VAD to end the turn (700 ms by default).
+const RECORDING = createRecording([['silence', 200], ['speech', 600], ['silence', 1000]])
+
+// Interim results while the user speaks and the final one shortly after (one every 18 frames of 20 ms).
+const STT_SCRIPT = [
+    { transcript: 'สวัส', isFinal: false },
+    { transcript: 'สวัสดี', isFinal: false },
+    { transcript: 'สวัสดีค่ะ', isFinal: true },
+]
+
+const createStt = () => createFakeStt({ script: STT_SCRIPT, chunksPerResult: 18 })
+
+// Legacy clients get each answer as one message; the fake TTS "audio" is the answer text.
+const legacyAudio = text => ({ aiAudioBase64: Buffer.from(text, 'utf8').toString('base64') })
+
+const decodeAudioText = events => events
+    .filter(event => event.type === 'audio' && event.data)
+    .map(event => Buffer.from(event.data, 'base64').toString('utf8'))
+
+describe('voice conversation', () => {
+    let gemini
+    let server
+    let respond = () => REPLY
+
+    before(async () => {
+        gemini = await startGeminiStub({ respond: body => respond(body) })
+    })
+
+    after(() => gemini.close())
+
+    afterEach(async () => {
+        gemini.requests.length = 0
+        respond = () => REPLY
+
+        if (server) {
+            await server.close()
+            server = null
+        }
+    })
+
+    const start = async (providers = {}) => {
+        server = await startTestServer({
+            providers: { stt: createStt(), llm: createGeminiLlm({ geminiApiUrl: gemini.url }), tts: createFakeTts(), ...providers },
+        })
+    }
+
+    test('answers a spoken turn once the VAD hears its end', async () => {
+        await start()
+
+        const events = await simulateConversation({ url: server.wsUrl, wav: RECORDING, speed: Infinity })
+
+        checkEventSequence(events, [
+            'state:listening',
+            'speech_started',
+            { type: 'transcript', text: 'สวัส', isFinal: false },
+            { type: 'transcript', text: 'สวัสดีค่ะ', isFinal: true },
+            'speech_ended',
+            'state:thinking',
+            'response_text',
+            'state:speaking',
+            'audio',
+            { type: 'response_text', text: REPLY, final: true },
+            { type: 'audio', end: true },
+            'state:listening',
+        ])
+
+        // Interim results must never start an answer of their own.
+        assert.equal(events.filter(event => event.type === 'state' && event.state === 'thinking').length, 1)
+
+        const audio = decodeAudioText(events)
+        assert.equal(audio.join(' '), REPLY)
+        assert.equal(events.find(event => event.end).chunks, audio.length)
+
+        const [request] = gemini.requests
+        assert.equal(request.method, 'streamGenerateContent')
+        assert.deepEqual(request.body.contents.at(-1), { role: 'user', parts: [{ text: 'สวัสดีค่ะ' }] })
+        assert.ok(request.body.systemInstruction.parts[0].text)
+    })
+
+    test('keeps the legacy message format for clients that never send start', async () => {
+        await start()
+
+        const events = await simulateConversation({ url: server.wsUrl, wav: RECORDING, config: null, speed: Infinity })
+
+        checkEventSequence(events, [
+            { transcribedText: 'สวัส', isFinal: false },
+            { transcribedText: 'สวัสดีค่ะ', isFinal: true },
+            legacyAudio(REPLY),
+        ])
+        assert.ok(events.every(event => event.v === undefined && event.aiAudioChunk === undefined && event.aiAudioEnd === undefined))
+    })
+
+    test('does not interrupt finished answers of legacy clients, which never report playback', async () => {
+        await start({
+            stt: createFakeStt({ script: [{ transcript: 'หนึ่ง', isFinal: true }, { transcript: 'สอง', isFinal: false }, { transcript: 'สองค่ะ', isFinal: true }], chunksPerResult: 40 }),
+            llm: createFakeLlm(),
+        })
+
+        const recording = createRecording([['silence', 200], ['speech', 600], ['silence', 1500], ['speech', 600], ['silence', 1000]])
+        const events = await simulateConversation({ url: server.wsUrl, wav: recording, config: null, speed: 4, answers: 2 })
+
+        checkEventSequence(events, [
+            { transcribedText: 'หนึ่ง', isFinal: true },
+            legacyAudio('คุณพูดว่า: หนึ่ง'),
+            { transcribedText: 'สอง', isFinal: false },
+            { transcribedText: 'สองค่ะ', isFinal: true },
+            legacyAudio('คุณพูดว่า: สองค่ะ'),
+        ])
+        assert.deepEqual(events.filter(event => event.interrupted), [])
+    })
+
+    test('sends answer audio as binary frames in order', async () => {
+        await start()
+
+        const events = await simulateConversation({ url: server.wsUrl, wav: RECORDING, config: { outputTransport: 'binary' }, speed: Infinity })
+        const frames = events.filter(event => event.binary)
+
+        assert.ok(frames.length > 1)
+        assert.deepEqual(frames.map(frame => frame.seq), frames.map((frame, index) => index))
+        assert.equal(events.find(event => event.end).chunks, frames.length)
+    })
+
+    test('continues as text when TTS fails', async () => {
+        const tts = { ...createFakeTts(), synthesize: async () => { throw new ProviderError('TTS unavailable', { statusCode: 503 }) } }
+        await start({ tts })
+
+        const events = await simulateConversation({ url: server.wsUrl, wav: RECORDING, speed: Infinity })
+
+        checkEventSequence(events, [
+            'state:thinking',
+            { type: 'degraded', mode: 'text_only', reason: 'tts_failed' },
+            { type: 'response_text', text: REPLY, final: true },
+            { type: 'audio', end: true, chunks: 0 },
+            'state:listening',
+        ])
+        assert.equal(events.filter(event => event.type === 'degraded').length, 1)
+    })
+
+    test('reports Gemini errors whose body is not JSON', async () => {
+        respond = () => ({ status: 500, body: '<html>Internal error</html>' })
+        await start()
+
+        const events = await simulateConversation({ url: server.wsUrl, wav: RECORDING, speed: Infinity })
+        const error = events.find(event => event.type === 'error')
+
+        assert.equal(error.code, 'response_failed')
+        assert.match(error.message, /Gemini API error: 500 - <html>Internal error<\/html>/)
+    })
+
+    test('reopens recognition after an STT failure', async () => {
+        process.env.PROVIDER_RETRY_BASE_MS = '20'
+        const stt = createStt()
+        let streams = 0
+
+        const flakyStt = {
+            ...stt,
+            createStream: options => {
+                if (++streams === 1) {
+                    setImmediate(() => options.onError(new Error('STT unavailable')))
+                    return { write: () => {}, end: () => {} }
+                }
+
+                return stt.createStream(options)
+            },
+        }
+
+        try {
+            await start({ stt: flakyStt })
+
+            const events = await simulateConversation({ url: server.wsUrl, wav: RECORDING })
+
+            checkEventSequence(events, [
+                { type: 'error', code: 'stt_failed', recoverable: true },
+                { type: 'transcript', isFinal: true },
+                'state:thinking',
+                { type: 'audio', end: true },
+            ])
+            assert.equal(streams, 2)
+        } finally {
+            delete process.env.PROVIDER_RETRY_BASE_MS
+        }
+    })
+})
+
+describe('conversation history', () => {
+    test('summarises compactions that overlap one after another and keeps the newest turns', async () => {
+        const summarize = async (previousSummary, turns) => {
+            await new Promise(resolve => setTimeout(resolve, 10))
+            return [previousSummary, ...turns.map(turn => turn.parts[0].text)].filter(Boolean).join(' ')
+        }
+        const conversation = createConversation({ maxTurns: 2, keepTurns: 2, summarize })
+
+        conversation.addExchange('u1', 'm1')
+        conversation.addExchange('u2', 'm2')
+        const first = conversation.compact()
+
+        conversation.addExchange('u3', 'm3')
+        await Promise.all([first, conversation.compact()])
+
+        assert.equal(conversation.getSummary(), 'u1 m1 u2 m2')
+        assert.deepEqual(conversation.getTurns().map(turn => turn.parts[0].text), ['u3', 'm3'])
+    })
+})
@@ -0,0 +1,40 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+
+import './support/env.js'
+import { verifyElevenLabsSignature } from '../lib/elevenlabs-agent.js'
+
+const SECRET = 'wsec_test'
+const BODY = JSON.stringify({ type: 'post_call_transcription', data: { conversation_id: 'conv1' } })
+
+// The `ElevenLabs-Signature` header: `t=<unix seconds>,v0=<hex HMAC-SHA256 of "t.body">`.
+const sign = (body, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) =>
+    `t=${timestamp},v0=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+
+describe('verifyElevenLabsSignature', () => {
+    test('accepts a current signature of the body', () => {
+        assert.equal(verifyElevenLabsSignature(BODY, sign(BODY), SECRET), true)
+        assert.equal(verifyElevenLabsSignature(BODY, sign(BODY).replace(',', ', '), SECRET), true)
+    })
+
+    test('rejects a changed body or another secret', () => {
+        assert.equal(verifyElevenLabsSignature(`${BODY} `, sign(BODY), SECRET), false)
+        assert.equal(verifyElevenLabsSignature(BODY, sign(BODY, { secret: 'other' }), SECRET), false)
+    })
+
+    test('rejects signatures older or newer than the tolerance', () => {
+        const now = Math.floor(Date.now() / 1000)
+
+        assert.equal(verifyElevenLabsSignature(BODY, sign(BODY, { timestamp: now - 1801 }), SECRET), false)
+        assert.equal(verifyElevenLabsSignature(BODY, sign(BODY, { timestamp: now + 1801 }), SECRET), false)
+        assert.equal(verifyElevenLabsSignature(BODY, sign(BODY, { timestamp: now - 120 }), SECRET, { toleranceSeconds: 60 }), false)
+    })
+
+    test('rejects missing and malformed headers and a missing secret', () => {
+        assert.equal(verifyElevenLabsSignature(BODY, undefined, SECRET), false)
+        assert.equal(verifyElevenLabsSignature(BODY, 'garbage', SECRET), false)
+        assert.equal(verifyElevenLabsSignature(BODY, `t=${Math.floor(Date.now() / 1000)}`, SECRET), false)
+        assert.equal(verifyElevenLabsSignature(BODY, sign(BODY), null), false)
+    })
+})
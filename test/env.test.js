@@ -0,0 +1,29 @@
+import { afterEach, test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import './support/env.js'
+import { getEnvNumber } from '../lib/env.js'
+
+afterEach(() => {
+    delete process.env.TEST_NUMBER
+})
+
+test('reads numeric settings', () => {
+    process.env.TEST_NUMBER = '2.5'
+    assert.equal(getEnvNumber('TEST_NUMBER', 1), 2.5)
+
+    process.env.TEST_NUMBER = '0'
+    assert.equal(getEnvNumber('TEST_NUMBER', 1), 0)
+})
+
+test('falls back to the default for unset, invalid and out-of-range values', () => {
+    assert.equal(getEnvNumber('TEST_NUMBER', 7), 7)
+
+    for (const value of ['', ' ', 'two', 'NaN', 'Infinity', '-1']) {
+        process.env.TEST_NUMBER = value
+        assert.equal(getEnvNumber('TEST_NUMBER', 7), 7, `value ${JSON.stringify(value)}`)
+    }
+
+    process.env.TEST_NUMBER = '0'
+    assert.equal(getEnvNumber('TEST_NUMBER', 7, { min: 1 }), 7)
+})
@@ -0,0 +1,118 @@
+import { after, afterEach, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { createGeminiLlm } from '../lib/providers/llm/gemini.js'
+import { createToolRegistry } from '../lib/tools/index.js'
+import { startGeminiStub } from './support/gemini-stub.js'
+
+const collect = async stream => {
+    const deltas = []
+
+    for await (const delta of stream) {
+        deltas.push(delta)
+    }
+
+    return deltas
+}
+
+describe('Gemini LLM', () => {
+    let gemini
+    let llm
+    let respond
+
+    before(async () => {
+        gemini = await startGeminiStub({ respond: (body, context) => respond(body, context) })
+        llm = createGeminiLlm({ geminiApiUrl: gemini.url })
+    })
+
+    after(() => gemini.close())
+
+    afterEach(() => {
+        gemini.requests.length = 0
+    })
+
+    const request = { systemInstruction: 'Be brief.', contents: [{ role: 'user', parts: [{ text: 'สวัสดี' }] }], maxOutputTokens: 64 }
+
+    test('sends the system instruction and output limit', async () => {
+        respond = () => 'สวัสดีค่ะ'
+
+        assert.equal(await llm.generate(request), 'สวัสดีค่ะ')
+
+        const [{ method, body }] = gemini.requests
+        assert.equal(method, 'generateContent')
+        assert.deepEqual(body.systemInstruction, { parts: [{ text: 'Be brief.' }] })
+        assert.deepEqual(body.generationConfig, { maxOutputTokens: 64 })
+    })
+
+    test('streams text deltas', async () => {
+        respond = () => 'one two three'
+
+        assert.deepEqual(await collect(llm.stream(request)), ['one ', 'two ', 'three'])
+        assert.equal(gemini.requests[0].method, 'streamGenerateContent')
+    })
+
+    test('runs function calls until the model answers with text', async () => {
+        const tools = createToolRegistry([{
+            name: 'get_hours',
+            description: 'Opening hours of a branch.',
+            parameters: { type: 'object', properties: { branch: { type: 'string' } }, required: ['branch'] },
+            handler: async ({ branch }) => `${branch}: 10:00-20:00`,
+        }])
+
+        respond = body => body.contents.length === 1
+            ? [{ functionCall: { name: 'get_hours', args: { branch: 'Siam' } } }]
+            : `เปิด ${body.contents.at(-1).parts[0].functionResponse.response.result}`
+
+        assert.deepEqual(await collect(llm.stream({ ...request, tools })), ['เปิด ', 'Siam: ', '10:00-20:00'])
+
+        const followUp = gemini.requests[1].body
+        assert.deepEqual(followUp.tools, [{ functionDeclarations: tools.declarations }])
+        assert.deepEqual(followUp.contents[1], { role: 'model', parts: [{ functionCall: { name: 'get_hours', args: { branch: 'Siam' } } }] })
+    })
+
+    test('disallows function calls on the last of TOOL_MAX_ROUNDS rounds', async () => {
+        const tools = createToolRegistry([{
+            name: 'get_hours',
+            description: 'Opening hours of a branch.',
+            parameters: { type: 'object', properties: {} },
+            handler: async () => '10:00-20:00',
+        }])
+
+        // The model keeps calling tools for as long as it's allowed to.
+        respond = body => body.toolConfig ? 'เปิดสิบโมงค่ะ' : [{ functionCall: { name: 'get_hours', args: {} } }]
+        process.env.TOOL_MAX_ROUNDS = '1'
+
+        try {
+            assert.equal(await llm.generate({ ...request, tools }), 'เปิดสิบโมงค่ะ')
+            assert.deepEqual(await collect(llm.stream({ ...request, tools })), ['เปิดสิบโมงค่ะ'])
+        } finally {
+            delete process.env.TOOL_MAX_ROUNDS
+        }
+
+        assert.deepEqual(gemini.requests.map(({ body }) => body.toolConfig), [
+            undefined,
+            { functionCallingConfig: { mode: 'NONE' } },
+            undefined,
+            { functionCallingConfig: { mode: 'NONE' } },
+        ])
+    })
+
+    test('turns error replies into ProviderErrors', async () => {
+        const cases = [
+            [{ status: 429, body: { error: { code: 429, message: 'Quota exceeded.' } } }, 429, /429 - Quota exceeded\./],
+            [{ status: 503, body: { error: 'overloaded' } }, 503, /503 - "overloaded"/],
+            [{ status: 502, body: 'Bad gateway' }, 502, /502 - Bad gateway/],
+        ]
+
+        for (const [answer, statusCode, message] of cases) {
+            respond = () => answer
+
+            await assert.rejects(llm.generate(request), error => {
+                assert.equal(error.name, 'ProviderError')
+                assert.equal(error.statusCode, statusCode)
+                assert.match(error.message, message)
+                return true
+            })
+        }
+    })
+})
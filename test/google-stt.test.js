@@ -0,0 +1,164 @@
+import { afterEach, beforeEach, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { EventEmitter } from 'events'
+
+import './support/env.js'
+import { createGoogleStt } from '../lib/providers/stt/google.js'
+
+const CHUNK_MS = 100
+const BYTES_PER_MS = 32 // 16 kHz LINEAR16
+
+// Stands in for the gRPC duplex stream: keeps what was written and lets the test play Google.
+const createFakeSpeechClient = () => {
+    const streams = []
+
+    const streamingRecognize = request => {
+        const stream = new EventEmitter()
+        stream.request = request
+        stream.written = []
+        stream.writableEnded = false
+        stream.destroyed = false
+        stream.write = chunk => stream.written.push(chunk)
+        stream.end = () => {
+            stream.writableEnded = true
+        }
+        streams.push(stream)
+        return stream
+    }
+
+    return { streams, streamingRecognize }
+}
+
+// Every chunk holds its own index in every byte, so replayed audio can be traced back.
+const createChunk = index => Buffer.alloc(CHUNK_MS * BYTES_PER_MS, index)
+
+const sendResult = (stream, transcript, { isFinal = true, endMs } = {}) => stream.emit('data', {
+    results: [{
+        alternatives: [{ transcript }],
+        isFinal,
+        resultEndTime: endMs === undefined ? undefined : { seconds: String(Math.floor(endMs / 1000)), nanos: (endMs % 1000) * 1e6 },
+    }],
+})
+
+describe('Google STT stream rotation', () => {
+    let client
+    let results
+    let errors
+    let recognition
+
+    beforeEach(() => {
+        // Every final result is old enough to rotate after.
+        process.env.STT_STREAM_ROTATE_AFTER_MS = '1'
+        client = createFakeSpeechClient()
+        results = []
+        errors = []
+        recognition = createGoogleStt({ speechClient: client }).createStream({
+            encoding: 'LINEAR16',
+            sampleRateHertz: 16000,
+            languageCode: 'th-TH',
+            onResult: result => results.push(result),
+            onError: error => errors.push(error),
+        })
+    })
+
+    afterEach(() => {
+        recognition.end()
+        delete process.env.STT_STREAM_ROTATE_AFTER_MS
+    })
+
+    const waitPastRotationAge = () => new Promise(resolve => setTimeout(resolve, 5))
+
+    test('replays the audio after the final result into the next stream', async () => {
+        for (let index = 0; index < 10; index++) {
+            recognition.write(createChunk(index))
+        }
+
+        await waitPastRotationAge()
+
+        // The first utterance ended 650 ms in; chunks 6 to 9 were sent before the result arrived.
+        const [first] = client.streams
+        sendResult(first, 'สวัสดีค่ะ', { endMs: 650 })
+        assert.equal(first.writableEnded, true)
+
+        recognition.write(createChunk(10))
+
+        const [, second] = client.streams
+        const replayed = Buffer.concat(second.written)
+
+        assert.equal(replayed.length, (1000 - 650 + CHUNK_MS) * BYTES_PER_MS)
+        assert.deepEqual([...new Set(replayed)], [6, 7, 8, 9, 10])
+        assert.equal(replayed.indexOf(7), 50 * BYTES_PER_MS)
+        assert.deepEqual(results, [{ transcript: 'สวัสดีค่ะ', isFinal: true }])
+    })
+
+    test('maps result times of a replayed stream onto the session audio', async () => {
+        for (let index = 0; index < 10; index++) {
+            recognition.write(createChunk(index))
+        }
+
+        await waitPastRotationAge()
+        sendResult(client.streams[0], 'หนึ่ง', { endMs: 500 })
+
+        // The second stream starts with chunk 5; its result ends 300 ms into it, where chunk 8 starts.
+        for (let index = 10; index < 12; index++) {
+            recognition.write(createChunk(index))
+        }
+
+        await waitPastRotationAge()
+        sendResult(client.streams[1], 'สอง', { endMs: 300 })
+        recognition.write(createChunk(12))
+
+        const replayed = Buffer.concat(client.streams[2].written)
+        assert.equal(replayed.length, (1200 - 800 + CHUNK_MS) * BYTES_PER_MS)
+        assert.deepEqual([...new Set(replayed)], [8, 9, 10, 11, 12])
+    })
+
+    test('ignores results of a retired stream and restarts quietly at the duration limit', () => {
+        recognition.write(createChunk(0))
+        recognition.write(createChunk(1))
+
+        const [first] = client.streams
+        first.emit('error', Object.assign(new Error('Exceeded maximum allowed stream duration.'), { code: 11 }))
+        sendResult(first, 'late result')
+
+        recognition.write(createChunk(2))
+
+        assert.deepEqual(errors, [])
+        assert.deepEqual(results, [])
+        assert.deepEqual([...new Set(Buffer.concat(client.streams[1].written))], [0, 1, 2])
+    })
+
+    test('reports other stream errors', () => {
+        recognition.write(createChunk(0))
+        client.streams[0].emit('error', Object.assign(new Error('Unavailable'), { code: 14 }))
+
+        assert.equal(errors.length, 1)
+        assert.equal(errors[0].message, 'Unavailable')
+    })
+
+    test('reports nothing once recognition has ended', () => {
+        recognition.write(createChunk(0))
+        recognition.end()
+
+        const [stream] = client.streams
+        sendResult(stream, 'late result', { endMs: 100 })
+        stream.emit('error', Object.assign(new Error('Cancelled'), { code: 1 }))
+
+        assert.equal(stream.writableEnded, true)
+        assert.deepEqual(results, [])
+        assert.deepEqual(errors, [])
+    })
+
+    test('does not rotate streams younger than STT_STREAM_ROTATE_AFTER_MS', () => {
+        process.env.STT_STREAM_ROTATE_AFTER_MS = '60000'
+        const stream = createGoogleStt({ speechClient: client }).createStream({ encoding: 'LINEAR16', sampleRateHertz: 16000, languageCode: 'th-TH', onResult: () => {}, onError: () => {} })
+
+        stream.write(createChunk(0))
+        sendResult(client.streams[0], 'สวัสดี', { endMs: 100 })
+        stream.write(createChunk(1))
+        stream.end()
+
+        assert.equal(client.streams.length, 1)
+        assert.equal(client.streams[0].written.length, 2)
+    })
+})
@@ -0,0 +1,63 @@
+import { afterEach, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+
+import './support/env.js'
+import { createHealthRouter } from '../lib/routes/health.js'
+
+describe('readiness', () => {
+    let server
+
+    const start = async options => {
+        const app = express()
+        app.use(createHealthRouter({ providers: { stt: { name: 'google' }, llm: { name: 'fake' }, tts: { name: 'fake' } }, ...options }))
+        server = app.listen(0, '127.0.0.1')
+        await new Promise(resolve => server.once('listening', resolve))
+
+        return async () => {
+            const response = await fetch(`http://127.0.0.1:${server.address().port}/readyz`)
+            return { status: response.status, body: await response.json() }
+        }
+    }
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve))
+    })
+
+    test('asks Google auth for credentials once they were found', async () => {
+        let lookups = 0
+        const readyz = await start({ googleAuth: { getCredentials: async () => ({ client_email: `sa-${++lookups}@example.com` }) } })
+
+        assert.deepEqual(await readyz(), { status: 200, body: { status: 'ready', checks: { google: { ok: true } } } })
+        await readyz()
+        assert.equal(lookups, 1)
+    })
+
+    test('reports missing Google credentials and looks again on the next probe', async () => {
+        let found = false
+        const readyz = await start({
+            googleAuth: {
+                getCredentials: async () => {
+                    if (!found) {
+                        throw new Error('Could not load the default credentials.')
+                    }
+
+                    return {}
+                },
+            },
+        })
+
+        const { status, body } = await readyz()
+        assert.equal(status, 503)
+        assert.deepEqual(body.checks.google, { ok: false, error: 'Google credentials are not available: Could not load the default credentials.' })
+
+        found = true
+        assert.equal((await readyz()).status, 200)
+    })
+
+    test('reports draining', async () => {
+        const readyz = await start({ isDraining: () => true, googleAuth: { getCredentials: async () => ({}) } })
+
+        assert.deepEqual(await readyz(), { status: 503, body: { status: 'draining' } })
+    })
+})
@@ -0,0 +1,37 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import './support/env.js'
+import { redactFields } from '../lib/logger.js'
+
+const CONFIG = { level: 'info', format: 'json', logTranscripts: false }
+
+describe('redactFields', () => {
+    test('hides credentials whatever their case or separators', () => {
+        const fields = redactFields({
+            token: 'abc',
+            accessToken: 'abc',
+            access_token: 'abc',
+            authorization: 'Bearer abc',
+            'X-API-Key': 'abc',
+            apiKey: 'abc',
+            headers: { 'x-twilio-signature': 'abc', cookie: 'session=abc' },
+        }, CONFIG)
+
+        assert.deepEqual(fields, {
+            token: '[secret]',
+            accessToken: '[secret]',
+            access_token: '[secret]',
+            authorization: '[secret]',
+            'X-API-Key': '[secret]',
+            apiKey: '[secret]',
+            headers: { 'x-twilio-signature': '[secret]', cookie: '[secret]' },
+        })
+    })
+
+    test('keeps fields that only mention tokens or keys', () => {
+        const fields = { maxOutputTokens: 256, tokensUsed: 1200, tokenCount: 3, keyId: 'app', phase: 'first_token' }
+
+        assert.deepEqual(redactFields(fields, CONFIG), fields)
+    })
+})
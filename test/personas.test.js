@@ -0,0 +1,61 @@
+import { after, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import './support/env.js'
+import { DEFAULT_PERSONA_ID, createPersonaStore } from '../lib/personas.js'
+
+describe('persona store', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'personas-'))
+    let files = 0
+
+    const createStore = () => {
+        const file = path.join(dir, `personas-${files++}.json`)
+        return { file, personas: createPersonaStore({ file }) }
+    }
+
+    const readFile = file => JSON.parse(fs.readFileSync(file, 'utf8'))
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    test('persists concurrent changes without losing any', async () => {
+        const { file, personas } = createStore()
+        const ids = ['a', 'b', 'c', 'd', 'e']
+
+        await Promise.all(ids.map(id => personas.create({ id, name: id, systemPrompt: `Persona ${id}.` })))
+        await Promise.all([personas.update('a', { name: 'A' }), personas.remove('b')])
+
+        const saved = readFile(file)
+        assert.deepEqual(saved.map(persona => persona.id).sort(), [DEFAULT_PERSONA_ID, 'a', 'c', 'd', 'e'].sort())
+        assert.equal(saved.find(persona => persona.id === 'a').name, 'A')
+
+        // A new store loads what was saved.
+        assert.equal(createPersonaStore({ file }).get('a').name, 'A')
+    })
+
+    test('validates personas', async () => {
+        const { personas } = createStore()
+
+        await assert.rejects(personas.create({ id: 'Bad Id', name: 'x', systemPrompt: 'x' }), { status: 400 })
+        await assert.rejects(personas.create({ id: 'ok', name: ' ', systemPrompt: 'x' }), { status: 400 })
+        await assert.rejects(personas.create({ id: 'ok', name: 'x', systemPrompt: 'x', maxResponseTokens: 1.5 }), { status: 400 })
+
+        await personas.create({ id: 'ok', name: 'x', systemPrompt: 'x' })
+        await assert.rejects(personas.create({ id: 'ok', name: 'x', systemPrompt: 'x' }), { status: 409 })
+        await assert.rejects(personas.update('missing', { name: 'x' }), { status: 404 })
+        await assert.rejects(personas.remove(DEFAULT_PERSONA_ID), { status: 400 })
+    })
+
+    test('fills missing fields from the default persona', async () => {
+        const { personas } = createStore()
+        const persona = await personas.create({ id: 'brief', name: 'Brief', systemPrompt: 'Be brief.' })
+
+        assert.equal(persona.languageCode, 'th-TH')
+        assert.equal(persona.voice, null)
+        assert.equal((await personas.update('brief', { voice: 'th-TH-PremwadeeNeural' })).systemPrompt, 'Be brief.')
+    })
+})
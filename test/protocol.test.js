@@ -0,0 +1,43 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { decodeAudioFrame, encodeAudioFrame, parseClientMessage, toLegacyMessage } from '../lib/protocol.js'
+
+const parse = message => parseClientMessage(Buffer.from(JSON.stringify(message)))
+
+describe('parseClientMessage', () => {
+    test('validates the start configuration', () => {
+        const { config } = parse({ v: 1, type: 'start', config: { sampleRateHertz: 8000, encoding: 'MULAW', outputTransport: 'binary', voiceSettings: { speed: 1.1 } } })
+
+        assert.deepEqual(config, { sampleRateHertz: 8000, encoding: 'MULAW', outputTransport: 'binary', voiceSettings: { speed: 1.1 } })
+        assert.throws(() => parse({ type: 'start', config: { sampleRateHertz: 1000 } }), { code: 'invalid_config' })
+        assert.throws(() => parse({ type: 'start', config: { voiceSettings: { speed: 3 } } }), { code: 'invalid_config' })
+        assert.throws(() => parse({ v: 2, type: 'start', config: {} }), { code: 'unsupported_version' })
+    })
+
+    test('rejects malformed and unknown messages', () => {
+        assert.throws(() => parseClientMessage(Buffer.from('not json')), { code: 'invalid_json' })
+        assert.throws(() => parse({ type: 'dance' }), { code: 'unknown_type' })
+        assert.throws(() => parse({ type: 'text_input', text: ' ' }), { code: 'invalid_message' })
+        assert.deepEqual(parse({ type: 'text_input', text: 'สวัสดี' }), { type: 'text_input', text: 'สวัสดี' })
+    })
+})
+
+describe('toLegacyMessage', () => {
+    test('maps events onto the original message shapes', () => {
+        assert.deepEqual(toLegacyMessage({ type: 'transcript', text: 'สวัส', isFinal: false }), { transcribedText: 'สวัส', isFinal: false })
+        assert.deepEqual(toLegacyMessage({ type: 'audio', responseId: 'r', data: 'AA==' }), { responseId: 'r', aiAudioBase64: 'AA==' })
+        assert.equal(toLegacyMessage({ type: 'audio', responseId: 'r', seq: 1, text: 'ค่ะ', data: 'AA==' }), null)
+        assert.equal(toLegacyMessage({ type: 'audio', responseId: 'r', end: true, chunks: 2 }), null)
+        assert.deepEqual(toLegacyMessage({ type: 'error', code: 'stt_failed', message: 'STT down' }), { error: 'STT down' })
+        assert.equal(toLegacyMessage({ type: 'state', state: 'thinking' }), null)
+        assert.equal(toLegacyMessage({ type: 'speech_started' }), null)
+    })
+})
+
+test('binary audio frames carry the response id and sequence number', () => {
+    const responseId = '6f1c2b9a-3d4e-4f5a-8b6c-7d8e9f0a1b2c'
+    const frame = encodeAudioFrame({ responseId, seq: 7, audio: Buffer.from([1, 2, 3]) })
+
+    assert.deepEqual(decodeAudioFrame(frame), { responseId, seq: 7, audio: Buffer.from([1, 2, 3]) })
+})
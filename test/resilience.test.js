@@ -0,0 +1,172 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import './support/env.js'
+import { ProviderError } from '../lib/errors.js'
+import { createCircuitBreaker, retry, withTimeout } from '../lib/resilience.js'
+import { withLlmResilience, withTtsResilience } from '../lib/providers/resilience.js'
+
+const OPTIONS = { llmTimeoutMs: 50, ttsTimeoutMs: 50, retries: 2, retryBaseDelayMs: 1, breakerThreshold: 3, breakerResetMs: 50 }
+
+const unavailable = () => new ProviderError('Service unavailable.', { statusCode: 503 })
+
+describe('retry', () => {
+    test('retries transient errors until the call succeeds', async () => {
+        let attempts = 0
+        const result = await retry(async () => {
+            if (++attempts < 3) {
+                throw unavailable()
+            }
+
+            return 'ok'
+        }, { retries: 2, baseDelayMs: 1, description: 'test' })
+
+        assert.equal(result, 'ok')
+        assert.equal(attempts, 3)
+    })
+
+    test('does not retry client errors', async () => {
+        let attempts = 0
+        const badRequest = new ProviderError('Bad request.', { statusCode: 400 })
+
+        await assert.rejects(retry(async () => {
+            attempts++
+            throw badRequest
+        }, { retries: 2, baseDelayMs: 1, description: 'test' }), badRequest)
+        assert.equal(attempts, 1)
+    })
+})
+
+describe('withTimeout', () => {
+    test('rejects with a timeout error and aborts the attempt', async () => {
+        let attemptSignal
+
+        await assert.rejects(withTimeout(signal => {
+            attemptSignal = signal
+            return new Promise(() => {})
+        }, { ms: 10, description: 'slow' }), { code: 'timeout' })
+        assert.equal(attemptSignal.aborted, true)
+    })
+
+    test('keeps the reason of a cancellation', async () => {
+        const controller = new AbortController()
+        const call = withTimeout(signal => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason))), { ms: 1000, signal: controller.signal, description: 'test' })
+
+        controller.abort(new Error('barge-in'))
+        await assert.rejects(call, { message: 'barge-in' })
+    })
+})
+
+describe('circuit breaker', () => {
+    test('opens after repeated failures and lets one trial call through after the reset time', async () => {
+        const breaker = createCircuitBreaker({ name: 'test', threshold: 2, resetMs: 20 })
+        const fail = () => breaker.run(async () => { throw unavailable() })
+
+        await assert.rejects(fail(), { statusCode: 503 })
+        await assert.rejects(fail(), { statusCode: 503 })
+        assert.equal(breaker.getState(), 'open')
+        await assert.rejects(breaker.run(async () => 'ok'), { code: 'circuit_open' })
+
+        await new Promise(resolve => setTimeout(resolve, 25))
+        assert.equal(breaker.getState(), 'half_open')
+        assert.equal(await breaker.run(async () => 'ok'), 'ok')
+        assert.equal(breaker.getState(), 'closed')
+    })
+
+    test('ignores cancelled calls', async () => {
+        const breaker = createCircuitBreaker({ name: 'test', threshold: 1, resetMs: 1000 })
+        const controller = new AbortController()
+        controller.abort()
+
+        await assert.rejects(breaker.run(async () => { throw unavailable() }, controller.signal))
+        assert.equal(breaker.getState(), 'closed')
+    })
+})
+
+describe('provider wrappers', () => {
+    test('retry a stream that failed before yielding anything', async () => {
+        let attempts = 0
+        const llm = withLlmResilience({
+            name: 'test',
+            generate: async () => '',
+            stream: async function* () {
+                if (++attempts === 1) {
+                    throw unavailable()
+                }
+
+                yield 'hello'
+            },
+        }, OPTIONS)
+
+        const deltas = []
+
+        for await (const delta of llm.stream({})) {
+            deltas.push(delta)
+        }
+
+        assert.deepEqual(deltas, ['hello'])
+        assert.equal(attempts, 2)
+    })
+
+    test('do not retry a request once a tool handler ran', async () => {
+        const toolCalls = []
+        const tools = { size: 1, declarations: [], call: async name => toolCalls.push(name) }
+        let attempts = 0
+
+        const llm = withLlmResilience({
+            name: 'test',
+            generate: async request => {
+                attempts++
+                await request.tools.call('book_table', {})
+                throw unavailable()
+            },
+            stream: async function* (request) {
+                attempts++
+                await request.tools.call('book_table', {})
+                throw unavailable()
+            },
+        }, OPTIONS)
+
+        await assert.rejects(llm.generate({ tools }), { statusCode: 503 })
+        await assert.rejects(async () => {
+            for await (const delta of llm.stream({ tools })) {
+                assert.fail(delta)
+            }
+        }, { statusCode: 503 })
+
+        assert.equal(attempts, 2)
+        assert.deepEqual(toolCalls, ['book_table', 'book_table'])
+    })
+
+    test('time out a stream that stops sending', async () => {
+        const llm = withLlmResilience({
+            name: 'test',
+            generate: async () => '',
+            stream: async function* ({ signal }) {
+                yield 'hello'
+                await new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)))
+            },
+        }, OPTIONS)
+
+        const deltas = []
+
+        await assert.rejects(async () => {
+            for await (const delta of llm.stream({})) {
+                deltas.push(delta)
+            }
+        }, { code: 'timeout' })
+        assert.deepEqual(deltas, ['hello'])
+    })
+
+    test('stop calling a TTS engine whose circuit is open', async () => {
+        let calls = 0
+        const tts = withTtsResilience({ name: 'test', formats: [], synthesize: async () => { calls++; throw unavailable() } }, { ...OPTIONS, retries: 0 })
+
+        for (let attempt = 0; attempt < 5; attempt++) {
+            await assert.rejects(tts.synthesize('สวัสดี'))
+        }
+
+        assert.equal(calls, OPTIONS.breakerThreshold)
+        assert.equal(tts.circuitBreaker.getState(), 'open')
+    })
+})
@@ -0,0 +1,28 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { createSentenceSplitter } from '../lib/sentences.js'
+
+const split = (chunks, options) => {
+    const splitter = createSentenceSplitter(options)
+    return [...chunks.flatMap(chunk => splitter.push(chunk)), ...splitter.flush()]
+}
+
+test('splits Thai text at spaces between Thai characters', () => {
+    assert.deepEqual(split(['สวัสดีค่ะ ยินดีที่ได้รู้จัก', 'ค่ะ วันนี้มีอะไรให้ช่วยไหมคะ']), [
+        'สวัสดีค่ะ ยินดีที่ได้รู้จักค่ะ',
+        'วันนี้มีอะไรให้ช่วยไหมคะ',
+    ])
+})
+
+test('does not split at spaces next to numbers or Latin words', () => {
+    assert.deepEqual(split(['แพ็กเกจ Premium ราคา 500 บาทต่อเดือนค่ะ']), ['แพ็กเกจ Premium ราคา 500 บาทต่อเดือนค่ะ'])
+})
+
+test('waits for the next word before splitting at a space', () => {
+    const splitter = createSentenceSplitter({ minLength: 1 })
+
+    assert.deepEqual(splitter.push('สวัสดีค่ะ '), [])
+    assert.deepEqual(splitter.push('ยินดีค่ะ'), ['สวัสดีค่ะ'])
+    assert.deepEqual(splitter.flush(), ['ยินดีค่ะ'])
+})
@@ -0,0 +1,55 @@
+import { after, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { v4 as uuidv4 } from 'uuid'
+
+import './support/env.js'
+import { createSessionLogStore } from '../lib/session-log.js'
+
+describe('session log store', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'))
+    const sessionLogs = createSessionLogStore({ dir })
+
+    const writeLog = lines => {
+        const sessionId = uuidv4()
+        fs.writeFileSync(path.join(dir, `${sessionId}.jsonl`), lines.join('\n'))
+        return sessionId
+    }
+
+    const started = (clientId, at) => JSON.stringify({ at, type: 'session_started', sessionId: 'x', clientId })
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    test('skips a partial last line left by a crash', async () => {
+        const sessionId = writeLog([
+            started('alice', '2026-01-01T00:00:00.000Z'),
+            JSON.stringify({ at: '2026-01-01T00:00:01.000Z', type: 'transcript', text: 'สวัสดี', isFinal: true }),
+            '{"at":"2026-01-01T00:00:02.000Z","type":"respon',
+        ])
+
+        const events = await sessionLogs.read(sessionId, { clientId: 'alice' })
+        assert.deepEqual(events.map(event => event.type), ['session_started', 'transcript'])
+
+        const [summary] = (await sessionLogs.list({ clientId: 'alice' })).filter(session => session.sessionId === sessionId)
+        assert.equal(summary.startedAt, '2026-01-01T00:00:00.000Z')
+    })
+
+    test('lists sessions whose first line is corrupt without an owner', async () => {
+        const sessionId = writeLog(['{"at":', started('bob', '2026-01-02T00:00:00.000Z')])
+
+        const session = (await sessionLogs.list()).find(summary => summary.sessionId === sessionId)
+        assert.equal(session.clientId, null)
+        await assert.rejects(sessionLogs.read(sessionId, { clientId: 'bob' }), { status: 404 })
+    })
+
+    test('lists more sessions than it reads at once', async () => {
+        const sessionIds = Array.from({ length: 40 }, (_, index) => writeLog([started('carol', new Date(Date.UTC(2026, 1, 1, 0, index)).toISOString())]))
+
+        const sessions = await sessionLogs.list({ clientId: 'carol' })
+        assert.deepEqual(sessions.map(session => session.sessionId), sessionIds.reverse())
+    })
+})
@@ -0,0 +1,88 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { buildCues, toSrt, toWebVtt } from '../lib/subtitles.js'
+
+// Timeline events at the given milliseconds after the session started.
+const timeline = entries => entries.map(([ms, type, fields = {}]) => ({ at: new Date(Date.UTC(2026, 0, 1) + ms).toISOString(), type, ...fields }))
+
+const userTurn = [
+    [0, 'session_started'],
+    [1000, 'transcript', { text: 'สวัส', isFinal: false }],
+    [2000, 'transcript', { text: 'สวัสดีค่ะ', isFinal: true }],
+    [2100, 'state', { state: 'thinking', responseId: 'r1' }],
+]
+
+const assistantCues = events => buildCues(events).filter(cue => cue.speaker === 'ผู้ช่วย').map(({ start, end, text }) => ({ start, end, text }))
+
+describe('buildCues', () => {
+    test('covers a streamed answer from its first text to the end marker', () => {
+        const cues = buildCues(timeline([
+            ...userTurn,
+            [2500, 'response_text', { responseId: 'r1', seq: 0, text: 'สวัสดีค่ะ', final: false }],
+            [2600, 'state', { state: 'speaking', responseId: 'r1' }],
+            [2700, 'audio', { responseId: 'r1', seq: 0, bytes: 100 }],
+            [3000, 'response_text', { responseId: 'r1', text: 'สวัสดีค่ะ มีอะไรให้ช่วยไหมคะ', final: true }],
+            [3000, 'audio', { responseId: 'r1', end: true, chunks: 1 }],
+            [3000, 'state', { state: 'listening' }],
+        ]))
+
+        assert.deepEqual(cues, [
+            { start: 1000, end: 2000, speaker: 'ผู้ใช้', text: 'สวัสดีค่ะ' },
+            { start: 2500, end: 3000, speaker: 'ผู้ช่วย', text: 'สวัสดีค่ะ มีอะไรให้ช่วยไหมคะ' },
+        ])
+    })
+
+    test('includes answers sent as a single audio message, which have no end marker', () => {
+        assert.deepEqual(assistantCues(timeline([
+            ...userTurn,
+            [3000, 'response_text', { responseId: 'r1', text: 'สวัสดีค่ะ', final: true }],
+            [3400, 'state', { state: 'speaking', responseId: 'r1' }],
+            [3400, 'audio', { responseId: 'r1', bytes: 100 }],
+            [3400, 'state', { state: 'listening' }],
+        ])), [{ start: 3000, end: 3500, text: 'สวัสดีค่ะ' }])
+    })
+
+    test('includes text-only answers after a TTS failure', () => {
+        assert.deepEqual(assistantCues(timeline([
+            ...userTurn,
+            [2500, 'response_text', { responseId: 'r1', seq: 0, text: 'สวัสดีค่ะ', final: false }],
+            [2600, 'degraded', { responseId: 'r1', mode: 'text_only', reason: 'tts_failed' }],
+            [3200, 'response_text', { responseId: 'r1', text: 'สวัสดีค่ะ', final: true }],
+            [3200, 'audio', { responseId: 'r1', end: true, chunks: 0 }],
+        ])), [{ start: 2500, end: 3200, text: 'สวัสดีค่ะ' }])
+    })
+
+    test('keeps the sentences sent before an interruption', () => {
+        assert.deepEqual(assistantCues(timeline([
+            ...userTurn,
+            [2500, 'response_text', { responseId: 'r1', seq: 0, text: 'ได้ค่ะ', final: false }],
+            [2800, 'response_text', { responseId: 'r1', seq: 1, text: 'ร้านเปิดสิบโมง', final: false }],
+            [3500, 'state', { state: 'interrupted', responseId: 'r1', reason: 'barge_in' }],
+            [3600, 'state', { state: 'thinking', responseId: 'r2' }],
+        ])), [{ start: 2500, end: 3500, text: 'ได้ค่ะ ร้านเปิดสิบโมง' }])
+    })
+
+    test('ends answers cut off by the end of the log', () => {
+        assert.deepEqual(assistantCues(timeline([
+            ...userTurn,
+            [2500, 'response_text', { responseId: 'r1', seq: 0, text: 'ได้ค่ะ', final: false }],
+            [4000, 'session_ended'],
+        ])), [{ start: 2500, end: 4000, text: 'ได้ค่ะ' }])
+    })
+})
+
+describe('subtitle formats', () => {
+    const cues = [
+        { start: 1000, end: 2500, speaker: 'ผู้ใช้', text: 'สวัสดี' },
+        { start: 3723004, end: 3724000, speaker: 'ผู้ช่วย', text: 'สวัสดีค่ะ' },
+    ]
+
+    test('writes SRT', () => {
+        assert.equal(toSrt(cues), '1\n00:00:01,000 --> 00:00:02,500\nผู้ใช้: สวัสดี\n\n2\n01:02:03,004 --> 01:02:04,000\nผู้ช่วย: สวัสดีค่ะ\n')
+    })
+
+    test('writes WebVTT with voice tags', () => {
+        assert.equal(toWebVtt(cues), 'WEBVTT\n\n00:00:01.000 --> 00:00:02.500\n<v ผู้ใช้>สวัสดี\n\n01:02:03.004 --> 01:02:04.000\n<v ผู้ช่วย>สวัสดีค่ะ\n')
+    })
+})
@@ -0,0 +1,22 @@
+import { encodeWav } from '../../lib/wav.js'
+
+const SAMPLE_RATE = 16000
+
+// [amplitude, frequency] by segment kind.
+const TONES = { speech: [8000, 220], hum: [1000, 100] }
+
+// A 16 kHz WAV recording made of ['speech', ms], ['hum', ms] and ['silence', ms] segments.
+// "Speech" is a loud 220 Hz tone, which is all the server's energy VAD looks at; "hum" is a
+// quieter 100 Hz tone standing in for mains hum or a fan.
+export const createRecording = segments => encodeWav(Buffer.concat(segments.map(([kind, ms]) => {
+    const samples = Math.round(SAMPLE_RATE * ms / 1000)
+    const pcm = Buffer.alloc(samples * 2)
+
+    const [amplitude, frequency] = TONES[kind] || [0, 0]
+
+    for (let index = 0; index < samples && amplitude > 0; index++) {
+        pcm.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * frequency * index / SAMPLE_RATE)), index * 2)
+    }
+
+    return pcm
+})), { sampleRate: SAMPLE_RATE })
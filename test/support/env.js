@@ -0,0 +1,3 @@
+// Imported by the other support modules. Server logs stay out of the test report unless
+// LOG_LEVEL asks for them.
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent'
@@ -0,0 +1,69 @@
+import http from 'http'
+
+import './env.js'
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(body))
+}
+
+// Text parts are streamed word by word, like Gemini streams longer answers in pieces.
+const toStreamChunks = parts => parts.flatMap(part => part.text
+    ? part.text.split(/(?<=\s)/).map(text => [{ text }])
+    : [[part]])
+
+// A local stand-in for the Gemini REST API: generateContent and streamGenerateContent with
+// alt=sse, on a random port. `respond(body, { method })` gets each request body and returns
+// the answer: a string, an array of candidate parts (e.g. function calls) or
+// `{ status, body }` for an error reply. Every request is kept in `requests`.
+export const startGeminiStub = async ({ respond = () => 'สวัสดีค่ะ' } = {}) => {
+    const requests = []
+
+    const server = http.createServer(async (req, res) => {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost')
+        const match = pathname.match(/\/models\/([^/:]+):(generateContent|streamGenerateContent)$/)
+
+        if (req.method !== 'POST' || !match) {
+            return sendJson(res, 404, { error: { code: 404, message: `No route for ${req.method} ${pathname}.`, status: 'NOT_FOUND' } })
+        }
+
+        const chunks = []
+
+        for await (const chunk of req) {
+            chunks.push(chunk)
+        }
+
+        const [, model, method] = match
+        const body = JSON.parse(Buffer.concat(chunks).toString())
+        requests.push({ model, method, key: searchParams.get('key'), body })
+
+        const answer = await respond(body, { method })
+
+        if (answer && answer.status) {
+            res.writeHead(answer.status, { 'Content-Type': 'application/json' })
+            return res.end(typeof answer.body === 'string' ? answer.body : JSON.stringify(answer.body))
+        }
+
+        const parts = typeof answer === 'string' ? [{ text: answer }] : answer
+
+        if (method === 'generateContent') {
+            return sendJson(res, 200, { candidates: [{ content: { role: 'model', parts } }] })
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+
+        for (const chunkParts of toStreamChunks(parts)) {
+            res.write(`data: ${JSON.stringify({ candidates: [{ content: { role: 'model', parts: chunkParts } }] })}\r\n\r\n`)
+        }
+
+        res.end()
+    })
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}/v1beta`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve)),
+    }
+}
@@ -0,0 +1,34 @@
+import os from 'os'
+import path from 'path'
+import { v4 as uuidv4 } from 'uuid'
+
+import './env.js'
+import { createVoiceServer } from '../../lib/server.js'
+import { createAuth } from '../../lib/auth.js'
+import { createPersonaStore } from '../../lib/personas.js'
+import { createUsageTracker } from '../../lib/usage.js'
+
+// Runs the real server on a random local port with the given providers, and with nothing
+// taken from the environment or written to data/: no auth, no usage limits, personas in a
+// temporary file, no session logs and no tools. `options` override any of these.
+export const startTestServer = async ({ providers, ...options }) => {
+    const voiceServer = createVoiceServer({
+        providers,
+        auth: createAuth({ apiKeys: [], jwtSecret: null, allowedOrigins: [] }),
+        usage: createUsageTracker({}),
+        personas: createPersonaStore({ file: path.join(os.tmpdir(), `personas-${uuidv4()}.json`) }),
+        sessionLogs: null,
+        tools: null,
+        ...options,
+    })
+
+    await new Promise(resolve => voiceServer.server.listen(0, '127.0.0.1', resolve))
+    const { port } = voiceServer.server.address()
+
+    return {
+        ...voiceServer,
+        url: `http://127.0.0.1:${port}`,
+        wsUrl: `ws://127.0.0.1:${port}`,
+        close: () => voiceServer.shutdown({ graceMs: 0 }),
+    }
+}
@@ -0,0 +1,103 @@
+import { after, afterEach, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import './support/env.js'
+import { createAzureTts } from '../lib/providers/tts/azure.js'
+import { createElevenLabsTts } from '../lib/providers/tts/elevenlabs.js'
+import { createTtsCache, getTtsCacheKey, withTtsCache } from '../lib/tts-cache.js'
+
+const ENV = ['AZURE_TTS_VOICE_NAME', 'ELEVENLABS_VOICE_ID', 'ELEVENLABS_MODEL_ID', 'ELEVENLABS_STABILITY', 'ELEVENLABS_SPEED']
+
+describe('TTS cache key', () => {
+    // The client is never called: only the key is computed.
+    const elevenlabs = createElevenLabsTts({ elevenlabsClient: {} })
+    const azure = createAzureTts()
+
+    afterEach(() => {
+        for (const name of ENV) {
+            delete process.env[name]
+        }
+    })
+
+    test('changes with the default ElevenLabs voice, model and voice settings', () => {
+        process.env.ELEVENLABS_VOICE_ID = 'voice-a'
+        const keys = [getTtsCacheKey(elevenlabs, 'สวัสดี')]
+
+        process.env.ELEVENLABS_VOICE_ID = 'voice-b'
+        keys.push(getTtsCacheKey(elevenlabs, 'สวัสดี'))
+
+        process.env.ELEVENLABS_MODEL_ID = 'eleven_flash_v2_5'
+        keys.push(getTtsCacheKey(elevenlabs, 'สวัสดี'))
+
+        process.env.ELEVENLABS_STABILITY = '0.3'
+        keys.push(getTtsCacheKey(elevenlabs, 'สวัสดี'))
+
+        process.env.ELEVENLABS_SPEED = '1.1'
+        keys.push(getTtsCacheKey(elevenlabs, 'สวัสดี'))
+
+        assert.equal(new Set(keys).size, keys.length)
+    })
+
+    test('changes with the default Azure voice', () => {
+        const before = getTtsCacheKey(azure, 'สวัสดี')
+        process.env.AZURE_TTS_VOICE_NAME = 'th-TH-PremwadeeNeural'
+
+        assert.notEqual(getTtsCacheKey(azure, 'สวัสดี'), before)
+    })
+
+    test('is the same whether a default is passed or filled in', () => {
+        process.env.ELEVENLABS_VOICE_ID = 'voice-a'
+        process.env.ELEVENLABS_STABILITY = '0.3'
+
+        assert.equal(
+            getTtsCacheKey(elevenlabs, 'สวัสดี'),
+            getTtsCacheKey(elevenlabs, 'สวัสดี', { voice: 'voice-a', model: 'eleven_multilingual_v2', voiceSettings: { stability: 0.3 }, format: 'mp3' }),
+        )
+        assert.equal(getTtsCacheKey(azure, 'สวัสดี'), getTtsCacheKey(azure, 'สวัสดี', { voice: 'th-TH-AcharaNeural' }))
+    })
+
+    test('differs by engine, text and format', () => {
+        const keys = [
+            getTtsCacheKey(azure, 'สวัสดี'),
+            getTtsCacheKey(azure, 'สวัสดีค่ะ'),
+            getTtsCacheKey(azure, 'สวัสดี', { format: 'pcm16k' }),
+            getTtsCacheKey({ name: 'other' }, 'สวัสดี', { voice: 'th-TH-AcharaNeural' }),
+        ]
+
+        assert.equal(new Set(keys).size, keys.length)
+    })
+})
+
+describe('withTtsCache', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-cache-'))
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    test('synthesises a phrase once per resolved voice', async () => {
+        const synthesized = []
+        const resolveOptions = ({ voice, format } = {}) => ({ voice: voice || process.env.AZURE_TTS_VOICE_NAME || 'default', format })
+        const engine = {
+            name: 'test',
+            resolveOptions,
+            synthesize: async (text, options) => {
+                synthesized.push(resolveOptions(options).voice)
+                return Buffer.from(text)
+            },
+        }
+        const cached = withTtsCache(engine, createTtsCache({ dir, maxMemoryBytes: 1024, maxDiskBytes: 1024, ttlMs: 60000 }))
+
+        assert.equal((await cached.synthesize('สวัสดี')).toString(), 'สวัสดี')
+        await cached.synthesize('สวัสดี', { voice: 'default' })
+
+        process.env.AZURE_TTS_VOICE_NAME = 'other'
+        await cached.synthesize('สวัสดี')
+        delete process.env.AZURE_TTS_VOICE_NAME
+
+        assert.deepEqual(synthesized, ['default', 'other'])
+    })
+})
@@ -0,0 +1,181 @@
+import { afterEach, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import os from 'os'
+import path from 'path'
+import WebSocket from 'ws'
+import { v4 as uuidv4 } from 'uuid'
+
+import { createAuth } from '../lib/auth.js'
+import { decodeMulaw, encodeMulaw, resamplePcm16 } from '../lib/mulaw.js'
+import { createPersonaStore } from '../lib/personas.js'
+import { createFakeStt, createFakeTts } from '../lib/providers/fake.js'
+import { TWILIO_MEDIA_STREAM_PATH, getTwilioSignature } from '../lib/twilio-media-stream.js'
+import { readWav } from '../lib/wav.js'
+import { createUsageTracker } from '../lib/usage.js'
+import { createRecording } from './support/audio.js'
+import { startTestServer } from './support/server.js'
+
+const AUTH_TOKEN = 'twilio-test-token'
+const REPLY = 'สวัสดีค่ะ'
+const FRAME_BYTES = 160
+
+const { pcm: RECORDING } = readWav(createRecording([['silence', 200], ['speech', 600], ['silence', 1000]]))
+
+const enabledAuth = () => createAuth({ apiKeys: [{ clientId: 'app', key: 'app-key' }], jwtSecret: null, allowedOrigins: [] })
+
+// Resolves with the HTTP status of the upgrade: 101 when the socket opened.
+const connect = (url, headers = {}) => new Promise(resolve => {
+    const ws = new WebSocket(url, { headers })
+    ws.on('open', () => resolve({ status: 101, ws }))
+    ws.on('unexpected-response', (request, response) => resolve({ status: response.statusCode }))
+    ws.on('error', () => {})
+})
+
+// Resolves with the close code, or null if the socket is still open after `ms`.
+const waitForClose = (ws, ms) => new Promise(resolve => {
+    const timer = setTimeout(() => resolve(null), ms)
+    ws.once('close', code => {
+        clearTimeout(timer)
+        resolve(code)
+    })
+})
+
+describe('mu-law', () => {
+    test('round-trips speech samples within the codec precision', () => {
+        const pcm = Buffer.alloc(200)
+
+        for (let index = 0; index < 100; index++) {
+            pcm.writeInt16LE(Math.round(12000 * Math.sin(index / 5)), index * 2)
+        }
+
+        const decoded = decodeMulaw(encodeMulaw(pcm))
+
+        for (let index = 0; index < 100; index++) {
+            const sample = pcm.readInt16LE(index * 2)
+            assert.ok(Math.abs(decoded.readInt16LE(index * 2) - sample) <= Math.max(8, Math.abs(sample) * 0.04), `sample ${index}`)
+        }
+    })
+
+    test('resamples between the telephony and STT rates', () => {
+        const pcm = resamplePcm16(Buffer.alloc(16000 * 2), 16000, 8000)
+
+        assert.equal(pcm.length, 8000 * 2)
+        assert.equal(resamplePcm16(pcm, 8000, 16000).length, 16000 * 2)
+    })
+})
+
+describe('Twilio media stream', () => {
+    let server
+    let systemInstructions = []
+
+    const llm = {
+        name: 'fake',
+        generate: async () => REPLY,
+        stream: async function* ({ systemInstruction }) {
+            systemInstructions.push(systemInstruction)
+            yield REPLY
+        },
+    }
+
+    const start = async ({ auth = enabledAuth(), twilio = { authToken: AUTH_TOKEN, streamUrl: null }, usage = createUsageTracker({}) } = {}) => {
+        systemInstructions = []
+        const personas = createPersonaStore({ file: path.join(os.tmpdir(), `personas-${uuidv4()}.json`) })
+        await personas.create({ id: 'sales', name: 'Sales', systemPrompt: 'Sell things.' })
+
+        server = await startTestServer({
+            providers: { stt: createFakeStt({ script: [{ transcript: REPLY, isFinal: true }], chunksPerResult: 30 }), llm, tts: createFakeTts() },
+            auth,
+            twilio,
+            usage,
+            personas,
+        })
+
+        const url = `${server.wsUrl}${TWILIO_MEDIA_STREAM_PATH}`
+
+        return { url, signature: getTwilioSignature(url.replace(/^ws:/, 'wss:'), AUTH_TOKEN) }
+    }
+
+    afterEach(async () => {
+        if (server) {
+            await server.close()
+            server = null
+        }
+    })
+
+    test('accepts only upgrades signed with the auth token', async () => {
+        const { url, signature } = await start()
+
+        assert.equal((await connect(url)).status, 401)
+        assert.equal((await connect(url, { 'X-Twilio-Signature': getTwilioSignature(url, 'other-token') })).status, 401)
+        assert.equal((await connect(url, { 'X-API-Key': 'app-key' })).status, 401)
+
+        const { status, ws } = await connect(url, { 'X-Twilio-Signature': signature })
+        assert.equal(status, 101)
+        ws.close()
+    })
+
+    test('rejects every stream while API auth is on and no auth token is set', async () => {
+        const { url, signature } = await start({ twilio: { authToken: null, streamUrl: null } })
+
+        assert.equal((await connect(url, { 'X-Twilio-Signature': signature })).status, 401)
+    })
+
+    test('charges calls against the line limits rather than the per-client defaults', async () => {
+        const { url, signature } = await start({
+            twilio: { authToken: AUTH_TOKEN, streamUrl: null, limits: { concurrentSessions: 2 } },
+            usage: createUsageTracker({ concurrentSessions: 1, audioMinutesPerDay: 0, llmCallsPerMinute: 0, llmCallsPerDay: 0 }),
+        })
+
+        const calls = []
+
+        for (let index = 0; index < 3; index++) {
+            const { ws } = await connect(url, { 'X-Twilio-Signature': signature })
+            const streamSid = `MZ${index}`
+            ws.send(JSON.stringify({ event: 'start', streamSid, start: { streamSid, callSid: `CA${index}`, mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 } } }))
+            calls.push(ws)
+        }
+
+        assert.deepEqual(await Promise.all(calls.map(ws => waitForClose(ws, 300))), [null, null, 1008])
+        calls.slice(0, 2).forEach(ws => ws.close())
+    })
+
+    // A ?persona= on the stream URL is ignored; Twilio can't send one.
+    test('answers a call with mu-law media and a mark, using the persona from customParameters', async () => {
+        const { url } = await start()
+        const { ws } = await connect(`${url}?persona=default`, { 'X-Twilio-Signature': getTwilioSignature(`${url.replace(/^ws:/, 'wss:')}?persona=default`, AUTH_TOKEN) })
+        const messages = []
+        const streamSid = 'MZtest'
+
+        const marked = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`No mark received: ${JSON.stringify(messages)}`)), 10000)
+
+            ws.on('message', data => {
+                const message = JSON.parse(data.toString())
+                messages.push(message)
+
+                if (message.event === 'mark') {
+                    clearTimeout(timer)
+                    resolve()
+                }
+            })
+        })
+
+        const send = message => ws.send(JSON.stringify(message))
+        send({ event: 'connected', protocol: 'Call', version: '1.0.0' })
+        send({ event: 'start', streamSid, start: { streamSid, callSid: 'CAtest', customParameters: { persona: 'sales' }, mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 } } })
+
+        const mulaw = encodeMulaw(resamplePcm16(RECORDING, 16000, 8000))
+
+        for (let offset = 0; offset < mulaw.length; offset += FRAME_BYTES) {
+            send({ event: 'media', streamSid, media: { track: 'inbound', payload: mulaw.subarray(offset, offset + FRAME_BYTES).toString('base64') } })
+        }
+
+        await marked
+        ws.close()
+
+        const media = messages.filter(message => message.event === 'media')
+        assert.ok(media.every(message => message.streamSid === streamSid))
+        assert.equal(Buffer.concat(media.map(message => Buffer.from(message.media.payload, 'base64'))).toString('utf8'), REPLY)
+        assert.deepEqual(systemInstructions.map(instruction => instruction.startsWith('Sell things.')), [true])
+    })
+})
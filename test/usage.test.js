@@ -0,0 +1,104 @@
+import { afterEach, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import './support/env.js'
+import { createUsageTracker, getAudioSeconds, getDefaultLimits } from '../lib/usage.js'
+
+const LIMITS = { concurrentSessions: 2, audioMinutesPerDay: 1, llmCallsPerMinute: 3, llmCallsPerDay: 5 }
+
+describe('getDefaultLimits', () => {
+    afterEach(() => {
+        delete process.env.LIMIT_CONCURRENT_SESSIONS
+        delete process.env.LIMIT_LLM_CALLS_PER_DAY
+    })
+
+    test('keeps the default for invalid values instead of lifting the limit', () => {
+        process.env.LIMIT_CONCURRENT_SESSIONS = 'two'
+        process.env.LIMIT_LLM_CALLS_PER_DAY = '-5'
+
+        const limits = getDefaultLimits()
+
+        assert.equal(limits.concurrentSessions, 2)
+        assert.equal(limits.llmCallsPerDay, 1000)
+    })
+
+    test('accepts 0 for unlimited', () => {
+        process.env.LIMIT_CONCURRENT_SESSIONS = '0'
+
+        assert.equal(getDefaultLimits().concurrentSessions, 0)
+    })
+})
+
+describe('usage tracker', () => {
+    test('limits concurrent sessions per client until one is released', () => {
+        const usage = createUsageTracker(LIMITS)
+        const quota = usage.forClient({ clientId: 'a' })
+
+        const release = quota.acquireSession()
+        quota.acquireSession()
+        assert.throws(() => quota.acquireSession(), { name: 'LimitError', limit: 'concurrent_sessions', status: 429 })
+
+        // Other clients have their own count.
+        usage.forClient({ clientId: 'b' }).acquireSession()
+
+        release()
+        release()
+        quota.acquireSession()
+    })
+
+    test('counts audio against the daily minutes', () => {
+        const quota = createUsageTracker(LIMITS).forClient({ clientId: 'a' })
+
+        quota.addAudioSeconds(getAudioSeconds(16000 * 2 * 50, { encoding: 'LINEAR16', sampleRateHertz: 16000 }))
+        assert.throws(() => quota.addAudioSeconds(getAudioSeconds(8000 * 20, { encoding: 'MULAW', sampleRateHertz: 8000 })), { limit: 'audio_minutes' })
+    })
+
+    test('limits LLM calls per minute and per day', t => {
+        t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T12:00:00Z') })
+        const quota = createUsageTracker(LIMITS).forClient({ clientId: 'a' })
+
+        for (let call = 0; call < 3; call++) {
+            quota.countLlmCall()
+        }
+
+        assert.throws(() => quota.countLlmCall(), { limit: 'llm_calls_per_minute' })
+
+        t.mock.timers.tick(61000)
+        quota.countLlmCall()
+        quota.countLlmCall()
+        assert.throws(() => quota.countLlmCall(), { limit: 'llm_calls_per_day' })
+    })
+
+    test('applies valid per-client overrides and ignores invalid ones', () => {
+        const usage = createUsageTracker(LIMITS)
+        const unlimited = usage.forClient({ clientId: 'a', limits: { concurrentSessions: 0 } })
+        const invalid = usage.forClient({ clientId: 'b', limits: { concurrentSessions: 'many', llmCallsPerDay: -1 } })
+
+        for (let session = 0; session < 5; session++) {
+            unlimited.acquireSession()
+        }
+
+        invalid.acquireSession()
+        invalid.acquireSession()
+        assert.throws(() => invalid.acquireSession(), { limit: 'concurrent_sessions' })
+    })
+
+    test('forgets clients without open sessions once their day is over', t => {
+        t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T12:00:00Z') })
+        const usage = createUsageTracker(LIMITS)
+        const active = usage.forClient({ clientId: 'active' })
+
+        active.acquireSession()
+        active.countLlmCall()
+        usage.forClient({ clientId: 'idle' }).countLlmCall()
+        assert.equal(usage.countClients(), 2)
+
+        t.mock.timers.tick(24 * 3600000)
+        usage.forClient({ clientId: 'new' }).countLlmCall()
+        assert.equal(usage.countClients(), 2)
+
+        // The open session still counts against the client.
+        active.acquireSession()
+        assert.throws(() => active.acquireSession(), { limit: 'concurrent_sessions' })
+    })
+})
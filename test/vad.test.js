@@ -0,0 +1,44 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { createVoiceActivityDetector } from '../lib/vad.js'
+import { readWav } from '../lib/wav.js'
+import { createRecording } from './support/audio.js'
+
+const detect = (segments, options = {}) => {
+    const events = []
+    const vad = createVoiceActivityDetector({
+        sampleRateHertz: 16000,
+        onSpeechStarted: () => events.push('started'),
+        onSpeechEnded: ({ durationMs }) => events.push(`ended after ${durationMs} ms`),
+        ...options,
+    })
+    const { pcm } = readWav(createRecording(segments))
+
+    // Uneven chunks, to cover frames that span two pushes.
+    for (let offset = 0; offset < pcm.length; offset += 1000) {
+        vad.push(pcm.subarray(offset, offset + 1000))
+    }
+
+    return events
+}
+
+test('reports speech once it lasts minSpeechMs and its end after endOfTurnSilenceMs', () => {
+    assert.deepEqual(detect([['silence', 300], ['speech', 500], ['silence', 800]]), ['started', 'ended after 500 ms'])
+})
+
+test('keeps a turn open across pauses shorter than endOfTurnSilenceMs', () => {
+    assert.deepEqual(detect([['speech', 400], ['silence', 300], ['speech', 400], ['silence', 800]]), ['started', 'ended after 1100 ms'])
+})
+
+test('ignores clicks shorter than minSpeechMs', () => {
+    assert.deepEqual(detect([['silence', 200], ['speech', 60], ['silence', 800]]), [])
+})
+
+test('keeps a long utterance open for as long as it lasts', () => {
+    assert.deepEqual(detect([['silence', 200], ['speech', 6000], ['silence', 800], ['speech', 300], ['silence', 800]]), ['started', 'ended after 6000 ms', 'started', 'ended after 300 ms'])
+})
+
+test('takes a steady hum for background noise after a while', () => {
+    assert.deepEqual(detect([['hum', 4000], ['speech', 500], ['hum', 2000]]), ['started', 'ended after 1620 ms', 'started', 'ended after 500 ms'])
+})